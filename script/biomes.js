@@ -0,0 +1,167 @@
+import { blocks } from "./blocks.js";
+
+/**
+ * @typedef {{
+ *  frequency: number,
+ *  trunk: number,
+ *  leaves: number | null
+ * }} VegetationRule
+ * A kind of tree that grows in a biome. `frequency` is the chance of a tree
+ * growing on each surface block, `trunk` and `leaves` are block ids. Trees
+ * without leaves (such as cacti) are just a trunk
+ */
+
+/**
+ * @typedef {{
+ *  name: string,
+ *  climate: {
+ *    temperature: {min: number, max: number},
+ *    humidity: {min: number, max: number}
+ *  },
+ *  terrain: {offset: number, amplitude: number},
+ *  surface: number,
+ *  subsurface: number,
+ *  subsurfaceDepth: number,
+ *  vegetation: VegetationRule[]
+ * }} Biome
+ * - `climate` is the range of temperature and humidity (0-1) the biome
+ *   covers. Ranges of different biomes shouldn't overlap. Where no biome
+ *   covers a climate, the closest one is used
+ * - `terrain.offset` is added to the terrain height and `terrain.amplitude`
+ *   scales the terrain magnitude. Both are blended across biome borders
+ * - `surface` and `subsurface` are the ids of the top block and of the
+ *   `subsurfaceDepth` blocks below it
+ */
+
+/**
+ * The biomes the world is made of, keyed by name. This only holds plain
+ * data so it can be posted to the chunk workers
+ * @type {{[name: string]: Biome}}
+ */
+export const biomes = {};
+
+/**
+ * Adds a biome to the registry, replacing any biome with the same name
+ * @param {Biome} biome
+ * @returns {Biome}
+ */
+export function registerBiome(biome) {
+	biomes[biome.name] = biome;
+	return biome;
+}
+
+registerBiome({
+	name: "Ocean",
+	climate: {
+		temperature: { min: 0, max: 1 },
+		humidity: { min: 0.75, max: 1 },
+	},
+	terrain: { offset: -18, amplitude: 0.5 },
+	surface: blocks.sand.id,
+	subsurface: blocks.sand.id,
+	subsurfaceDepth: 3,
+	vegetation: [],
+});
+
+registerBiome({
+	name: "Tundra",
+	climate: {
+		temperature: { min: 0, max: 0.3 },
+		humidity: { min: 0, max: 0.5 },
+	},
+	terrain: { offset: 0, amplitude: 0.8 },
+	surface: blocks.snow.id,
+	subsurface: blocks.dirt.id,
+	subsurfaceDepth: 3,
+	vegetation: [{ frequency: 0.005, trunk: blocks.tree.id, leaves: null }],
+});
+
+registerBiome({
+	name: "Taiga",
+	climate: {
+		temperature: { min: 0, max: 0.3 },
+		humidity: { min: 0.5, max: 0.75 },
+	},
+	terrain: { offset: 4, amplitude: 1.2 },
+	surface: blocks.snow.id,
+	subsurface: blocks.dirt.id,
+	subsurfaceDepth: 3,
+	vegetation: [
+		{ frequency: 0.02, trunk: blocks.tree.id, leaves: blocks.leaves.id },
+	],
+});
+
+registerBiome({
+	name: "Mountains",
+	climate: {
+		temperature: { min: 0.3, max: 0.45 },
+		humidity: { min: 0, max: 0.4 },
+	},
+	terrain: { offset: 16, amplitude: 3 },
+	surface: blocks.stone.id,
+	subsurface: blocks.stone.id,
+	subsurfaceDepth: 6,
+	vegetation: [],
+});
+
+registerBiome({
+	name: "Temperate",
+	climate: {
+		temperature: { min: 0.3, max: 0.6 },
+		humidity: { min: 0.4, max: 0.75 },
+	},
+	terrain: { offset: 0, amplitude: 1 },
+	surface: blocks.grass.id,
+	subsurface: blocks.dirt.id,
+	subsurfaceDepth: 3,
+	vegetation: [
+		{ frequency: 0.005, trunk: blocks.tree.id, leaves: blocks.leaves.id },
+	],
+});
+
+registerBiome({
+	name: "Swamp",
+	climate: {
+		temperature: { min: 0.6, max: 0.8 },
+		humidity: { min: 0.55, max: 0.75 },
+	},
+	terrain: { offset: -1, amplitude: 0.2 },
+	surface: blocks.grass.id,
+	subsurface: blocks.dirt.id,
+	subsurfaceDepth: 4,
+	vegetation: [
+		{ frequency: 0.01, trunk: blocks.tree.id, leaves: blocks.leaves.id },
+	],
+});
+
+registerBiome({
+	name: "Jungle",
+	climate: {
+		temperature: { min: 0.8, max: 1 },
+		humidity: { min: 0.55, max: 0.75 },
+	},
+	terrain: { offset: 2, amplitude: 1 },
+	surface: blocks.grass.id,
+	subsurface: blocks.dirt.id,
+	subsurfaceDepth: 3,
+	vegetation: [
+		{
+			frequency: 0.02,
+			trunk: blocks.jungleTree.id,
+			leaves: blocks.jungleLeaves.id,
+		},
+	],
+});
+
+registerBiome({
+	name: "Desert",
+	climate: {
+		temperature: { min: 0.6, max: 1 },
+		humidity: { min: 0, max: 0.55 },
+	},
+	terrain: { offset: 0, amplitude: 0.6 },
+	surface: blocks.sand.id,
+	subsurface: blocks.sand.id,
+	subsurfaceDepth: 4,
+	vegetation: [{ frequency: 0.005, trunk: blocks.cactus.id, leaves: null }],
+});
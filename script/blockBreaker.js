@@ -0,0 +1,145 @@
+import * as THREE from "three";
+import { RNG } from "./rng";
+import { getBlockType, isBreakable } from "./blocks";
+import { getToolSpeed } from "./tools";
+
+/**
+ * Number of crack overlay stages shown while a block is being broken
+ */
+export const CRACK_STAGES = 10;
+
+/**
+ * Draws the crack overlay textures. Each stage adds more cracks to the
+ * previous one, growing outwards from the middle of the block
+ * @returns {THREE.Texture[]}
+ */
+function createCrackTextures() {
+	const size = 16;
+	const canvas = document.createElement("canvas");
+	canvas.width = size;
+	canvas.height = size;
+	const context = canvas.getContext("2d");
+	context.fillStyle = "rgba(0, 0, 0, 0.7)";
+
+	// Random walks from the middle, with the same cracks every time
+	const rng = new RNG(0);
+	const cracks = [];
+	for (let i = 0; i < 6; i++) {
+		const angle = (i / 6) * Math.PI * 2 + rng.random();
+		cracks.push({ x: size / 2, y: size / 2, angle });
+	}
+
+	const textures = [];
+	for (let stage = 0; stage < CRACK_STAGES; stage++) {
+		for (const crack of cracks) {
+			for (let step = 0; step < 2; step++) {
+				crack.angle += (rng.random() - 0.5) * 1.2;
+				crack.x += Math.cos(crack.angle);
+				crack.y += Math.sin(crack.angle);
+				context.fillRect(Math.floor(crack.x), Math.floor(crack.y), 1, 1);
+			}
+		}
+
+		// Each stage keeps a copy, since the canvas is drawn over
+		const stageCanvas = document.createElement("canvas");
+		stageCanvas.width = size;
+		stageCanvas.height = size;
+		stageCanvas.getContext("2d").drawImage(canvas, 0, 0);
+
+		const texture = new THREE.CanvasTexture(stageCanvas);
+		texture.magFilter = THREE.NearestFilter;
+		texture.minFilter = THREE.NearestFilter;
+		texture.colorSpace = THREE.SRGBColorSpace;
+		textures.push(texture);
+	}
+	return textures;
+}
+
+/**
+ * Tracks the progress of breaking the block the player is mining and shows
+ * it as a crack overlay on the block. Blocks take their `hardness` in
+ * seconds to break by hand, and tools suited to the block are faster.
+ * Progress is lost when the player stops mining or looks at a different
+ * block
+ */
+export class BlockBreaker extends THREE.Mesh {
+	/**
+	 * How far the block is from breaking, from 0 to 1
+	 */
+	progress = 0;
+	/**
+	 * Coordinates of the block being broken, or null if there is none
+	 * @type {THREE.Vector3 | null}
+	 */
+	target = null;
+
+	constructor() {
+		const textures = createCrackTextures();
+		super(
+			new THREE.BoxGeometry(1.002, 1.002, 1.002),
+			new THREE.MeshBasicMaterial({
+				map: textures[0],
+				transparent: true,
+				depthWrite: false,
+				// Draw on top of the faces of the block being broken
+				polygonOffset: true,
+				polygonOffsetFactor: -1,
+				polygonOffsetUnits: -1,
+			})
+		);
+		this.textures = textures;
+		this.visible = false;
+	}
+
+	/**
+	 * Moves the breaking forward by `dt` seconds
+	 * @param {number} dt
+	 * @param {World} world
+	 * @param {THREE.Vector3 | null} coords The block the player is mining,
+	 * or null if they aren't mining
+	 * @param {import("./tools").ToolType} tool The tool the block is mined
+	 * with
+	 * @returns {THREE.Vector3 | null} The coordinates of the block if it
+	 * has just finished breaking
+	 */
+	update(dt, world, coords, tool) {
+		if (!coords) {
+			this.reset();
+			return null;
+		}
+		if (!this.target || !this.target.equals(coords)) {
+			this.reset();
+			this.target = coords.clone();
+		}
+
+		const blockId = world.getBlock(coords.x, coords.y, coords.z)?.id;
+		if (!isBreakable(blockId)) {
+			this.reset();
+			return null;
+		}
+
+		const breakTime =
+			getBlockType(blockId).hardness / getToolSpeed(tool, blockId);
+		this.progress = breakTime > 0 ? this.progress + dt / breakTime : 1;
+		if (this.progress >= 1) {
+			const broken = this.target;
+			this.reset();
+			return broken;
+		}
+
+		const stage = Math.floor(this.progress * CRACK_STAGES);
+		this.material.map = this.textures[stage];
+		this.position.copy(coords);
+		this.visible = true;
+		return null;
+	}
+
+	/**
+	 * Stops breaking the current block and loses its progress
+	 */
+	reset() {
+		this.progress = 0;
+		this.target = null;
+		this.visible = false;
+	}
+}
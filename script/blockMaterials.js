@@ -0,0 +1,270 @@
+import * as THREE from "three";
+import { onBlockRegistered } from "./blocks";
+import {
+	ATLAS_COLUMNS,
+	CELL_SIZE,
+	TILE_PADDING,
+	TILE_SIZE,
+	atlasTiles,
+} from "./textureAtlas";
+
+const canvas = document.createElement("canvas");
+canvas.width = ATLAS_COLUMNS * CELL_SIZE;
+canvas.height = CELL_SIZE;
+const context = canvas.getContext("2d");
+
+/**
+ * Every block texture packed into a single image
+ * @see textureAtlas.js
+ */
+const atlas = new THREE.CanvasTexture(canvas);
+atlas.colorSpace = THREE.SRGBColorSpace;
+atlas.magFilter = THREE.NearestFilter;
+atlas.minFilter = THREE.NearestMipmapLinearFilter;
+
+/**
+ * Loaded texture images, keyed by file name
+ * @type {Map<string, HTMLImageElement>}
+ */
+const images = new Map();
+
+/**
+ * Size of the atlas in pixels, shared by all of the chunk materials
+ */
+const atlasSize = { value: new THREE.Vector2(canvas.width, canvas.height) };
+
+/**
+ * Draws the tile at `index` into its cell of the atlas. The texture is
+ * repeated into the padding so sampling across the edge of a tile wraps
+ * around like a repeating texture would
+ * @param {number} index
+ */
+function drawTile(index) {
+	const { texture, color, opacity } = atlasTiles[index];
+	const x = (index % ATLAS_COLUMNS) * CELL_SIZE;
+	const y = Math.floor(index / ATLAS_COLUMNS) * CELL_SIZE;
+
+	context.save();
+	context.clearRect(x, y, CELL_SIZE, CELL_SIZE);
+	context.globalAlpha = opacity;
+	if (texture) {
+		const image = images.get(texture);
+		if (image?.complete) {
+			context.beginPath();
+			context.rect(x, y, CELL_SIZE, CELL_SIZE);
+			context.clip();
+			context.imageSmoothingEnabled = false;
+			for (let dy = -1; dy <= 1; dy++) {
+				for (let dx = -1; dx <= 1; dx++) {
+					context.drawImage(
+						image,
+						x + TILE_PADDING + dx * TILE_SIZE,
+						y + TILE_PADDING + dy * TILE_SIZE,
+						TILE_SIZE,
+						TILE_SIZE
+					);
+				}
+			}
+		}
+	} else {
+		context.fillStyle = `#${color.toString(16).padStart(6, "0")}`;
+		context.fillRect(x, y, CELL_SIZE, CELL_SIZE);
+	}
+	context.restore();
+	atlas.needsUpdate = true;
+}
+
+/**
+ * Loads the texture of the tile at `index` and draws it into the atlas
+ * once it has loaded. A texture that fails to load leaves its tile empty
+ * @param {number} index
+ */
+function addTile(index) {
+	const { texture } = atlasTiles[index];
+	if (texture && !images.has(texture)) {
+		const image = new Image();
+		image.addEventListener("load", () => {
+			atlasTiles.forEach((tile, i) => tile.texture === texture && drawTile(i));
+		});
+		image.src = `textures/${texture}`;
+		images.set(texture, image);
+	}
+	drawTile(index);
+}
+
+/**
+ * Makes the atlas tall enough for all of the tiles. The height is kept to
+ * a power of two rows so the mipmaps stay aligned with the tiles
+ */
+function resizeAtlas() {
+	const rows = Math.ceil(atlasTiles.length / ATLAS_COLUMNS);
+	const height = 2 ** Math.ceil(Math.log2(Math.max(rows, 1))) * CELL_SIZE;
+	if (height === canvas.height) return;
+
+	// Resizing clears the canvas, and the GPU texture has to be created
+	// again at the new size
+	canvas.height = height;
+	atlasSize.value.set(canvas.width, canvas.height);
+	atlas.dispose();
+	atlasTiles.forEach((tile, index) => drawTile(index));
+}
+
+let tileCount = 0;
+onBlockRegistered(() => {
+	resizeAtlas();
+	for (; tileCount < atlasTiles.length; tileCount++) {
+		addTile(tileCount);
+	}
+});
+
+/**
+ * Makes `material` sample its map from the atlas tile in the `tile`
+ * attribute. The texture coordinates are in blocks, so the tile repeats
+ * across faces that were merged by the mesher
+ * @template {THREE.Material} T
+ * @param {T} material
+ * @returns {T}
+ */
+function useAtlas(material) {
+	material.onBeforeCompile = (shader) => {
+		shader.uniforms.atlasSize = atlasSize;
+		shader.vertexShader = shader.vertexShader
+			.replace(
+				"#include <common>",
+				"#include <common>\nattribute float tile;\nvarying float vTile;"
+			)
+			.replace("#include <uv_vertex>", "#include <uv_vertex>\nvTile = tile;");
+		shader.fragmentShader = shader.fragmentShader
+			.replace(
+				"#include <common>",
+				"#include <common>\nuniform vec2 atlasSize;\nvarying float vTile;"
+			)
+			.replace("#include <map_fragment>", atlasFragment);
+	};
+	return material;
+}
+
+const atlasFragment = /* glsl */ `
+#ifdef USE_MAP
+	float tileIndex = floor(vTile + 0.5);
+	vec2 cell = vec2(mod(tileIndex, ${ATLAS_COLUMNS}.0), floor(tileIndex / ${ATLAS_COLUMNS}.0));
+	vec2 tileUv = fract(vMapUv);
+	vec2 atlasPixel = cell * ${CELL_SIZE}.0 + ${TILE_PADDING}.0 +
+		vec2(tileUv.x, 1.0 - tileUv.y) * ${TILE_SIZE}.0;
+
+	// The mip level is picked from the unwrapped coordinates, since fract()
+	// jumps at the tile edges. It stops at the level where the padding
+	// is down to one pixel
+	vec2 dx = dFdx(vMapUv) * ${TILE_SIZE}.0;
+	vec2 dy = dFdy(vMapUv) * ${TILE_SIZE}.0;
+	float lod = clamp(0.5 * log2(max(dot(dx, dx), dot(dy, dy))), 0.0, ${Math.log2(TILE_PADDING).toFixed(1)});
+
+	vec4 sampledDiffuseColor = textureLod(
+		map,
+		vec2(atlasPixel.x, atlasSize.y - atlasPixel.y) / atlasSize,
+		lod
+	);
+	diffuseColor *= sampledDiffuseColor;
+#endif
+`;
+
+/**
+ * Colour of the light given off by blocks such as lanterns
+ */
+const blockLightColor = { value: new THREE.Color(1, 0.85, 0.65) };
+
+/**
+ * Settings for the ambient occlusion in the corners between blocks.
+ * `strength` is how dark a fully occluded corner gets, from 0 to 1
+ */
+export const ambientOcclusion = { enabled: true, strength: 0.6 };
+
+const occlusionStrength = {
+	get value() {
+		return ambientOcclusion.enabled ? ambientOcclusion.strength : 0;
+	},
+};
+
+/**
+ * Makes `material` lit by the voxel light in the `light` attribute, which
+ * has the brightness of the sunlight and block light at each vertex.
+ * Sunlight scales the light from the scene's lights, which follow the time
+ * of day, so caves stay dark. Block light is added on top at any time of
+ * day. All of it is darkened by the ambient occlusion in the `occlusion`
+ * attribute. Must be applied after `useAtlas()`
+ * @template {THREE.Material} T
+ * @param {T} material
+ * @returns {T}
+ */
+function useVoxelLight(material) {
+	const useAtlasShader = material.onBeforeCompile;
+	material.onBeforeCompile = (shader, renderer) => {
+		useAtlasShader(shader, renderer);
+		shader.uniforms.blockLightColor = blockLightColor;
+		shader.uniforms.occlusionStrength = occlusionStrength;
+		shader.vertexShader = shader.vertexShader
+			.replace(
+				"#include <common>",
+				"#include <common>\nattribute vec2 light;\nattribute float occlusion;\n" +
+					"varying vec2 vLight;\nvarying float vOcclusion;"
+			)
+			.replace(
+				"#include <uv_vertex>",
+				"#include <uv_vertex>\nvLight = light;\nvOcclusion = occlusion;"
+			);
+		shader.fragmentShader = shader.fragmentShader
+			.replace(
+				"#include <common>",
+				"#include <common>\nuniform vec3 blockLightColor;\nuniform float occlusionStrength;\n" +
+					"varying vec2 vLight;\nvarying float vOcclusion;"
+			)
+			.replace("#include <lights_fragment_end>", voxelLightFragment);
+	};
+	return material;
+}
+
+const voxelLightFragment = /* glsl */ `
+#include <lights_fragment_end>
+	reflectedLight.directDiffuse *= vLight.x;
+	reflectedLight.indirectDiffuse *= vLight.x;
+	reflectedLight.indirectDiffuse += diffuseColor.rgb * blockLightColor * vLight.y;
+
+	float ambientOcclusion = 1.0 - occlusionStrength * vOcclusion;
+	reflectedLight.directDiffuse *= ambientOcclusion;
+	reflectedLight.indirectDiffuse *= ambientOcclusion;
+`;
+
+/**
+ * The materials shared by all chunk meshes, in the order of the material
+ * indices returned by `getMaterialIndex()`: opaque blocks, transparent
+ * blocks and blocks that aren't affected by lighting
+ * @see getMaterialIndex
+ */
+export const chunkMaterials = [
+	useVoxelLight(
+		useAtlas(new THREE.MeshLambertMaterial({ map: atlas, alphaTest: 0.5 }))
+	),
+	useVoxelLight(
+		useAtlas(
+			new THREE.MeshLambertMaterial({
+				map: atlas,
+				transparent: true,
+				// Fluids are visible from below the surface as well
+				side: THREE.DoubleSide,
+			})
+		)
+	),
+	useAtlas(new THREE.MeshBasicMaterial({ map: atlas, alphaTest: 0.5 })),
+];
+
+/**
+ * Material used to draw chunk meshes into shadow maps, so the gaps in
+ * textures such as leaves let light through
+ */
+export const chunkDepthMaterial = useAtlas(
+	new THREE.MeshDepthMaterial({
+		depthPacking: THREE.RGBADepthPacking,
+		map: atlas,
+		alphaTest: 0.5,
+	})
+);
@@ -1,162 +1,496 @@
-import * as THREE from "three";
+/**
+ * Block type definitions. This module has no rendering dependencies so
+ * it can be shared by the game, web workers and Node tooling. The
+ * materials used to draw each block live in `blockMaterials.js`
+ */
 
-const textureLoader = new THREE.TextureLoader();
+/**
+ * @typedef {string | {
+ *  all?: string,
+ *  side?: string,
+ *  top?: string,
+ *  bottom?: string,
+ *  right?: string,
+ *  left?: string,
+ *  front?: string,
+ *  back?: string
+ * }} BlockTextures
+ * Texture file names in `public/textures`. A single name is used for every
+ * face. Otherwise the most specific key wins, so `{ side, top, bottom }`
+ * covers a log and `{ all, top }` covers a block with a different top
+ */
 
-function loadTexture(path) {
-	const texture = textureLoader.load(path);
-	texture.colorSpace = THREE.SRGBColorSpace;
-	texture.minFilter = THREE.NearestFilter;
-	texture.magFilter = THREE.NearestFilter;
-	return texture;
+/**
+ * @typedef {{
+ *  block: string,
+ *  count?: number,
+ *  chance?: number
+ * }} BlockDrop
+ * `count` of the block called `block` is dropped, with a probability of
+ * `chance` (default 1)
+ */
+
+/**
+ * @typedef {{min: number[], max: number[]}} BlockBox
+ * A box inside a block, as [x, y, z] from the lower corner of the block at
+ * [0, 0, 0] to the upper corner at [1, 1, 1]. Collision boxes can stick
+ * out of the top of the block
+ */
+
+/**
+ * @typedef {{
+ *  id: number,
+ *  name: string,
+ *  solid: boolean,
+ *  opaque: boolean,
+ *  transparent: boolean,
+ *  fluid: boolean,
+ *  textures: BlockTextures | null,
+ *  color: number | null,
+ *  opacity: number,
+ *  unlit: boolean,
+ *  icon: string | null,
+ *  hardness: number,
+ *  category: string,
+ *  lightLevel: number,
+ *  drops: BlockDrop[] | null,
+ *  boxes: BlockBox[] | null,
+ *  collider: BlockBox[] | null,
+ *  [key: string]: any
+ * }} Block
+ * - `solid` blocks stop the player and are what the player picks when
+ *   looking at a block. Other blocks are walked and looked through
+ * - `opaque` blocks hide the faces of the blocks next to them, stop light
+ *   and darken the corners around them
+ * - `transparent` blocks are drawn blended with what is behind them, after
+ *   the rest of the world. Blocks that are neither opaque nor transparent,
+ *   like leaves and glass, have the see-through pixels of their textures
+ *   cut out instead
+ * - `fluid` blocks flow into the empty blocks around them and keep their
+ *   level in the block state
+ * - Blocks are drawn with `textures`, or with the plain `color` if they
+ *   have none. Blocks with neither are never drawn
+ * - `hardness` is how long the block takes to break by hand in seconds. A
+ *   negative hardness means the block can't be broken
+ * - `category` decides which tools break the block faster, such as
+ *   "stone", "wood", "dirt" or "plant"
+ * - `lightLevel` is the light the block gives off (0-15)
+ * - `drops` are what the block leaves behind when it is broken. Null drops
+ *   the block itself
+ * - `boxes` are drawn instead of a full cube for blocks like slabs and
+ *   fences. Blocks with boxes should not be opaque
+ * - `collider` is what solid blocks stop the player with, if it isn't
+ *   their `boxes` or the full cube
+ */
+
+/**
+ * The box of a full cube
+ * @type {BlockBox}
+ */
+const FULL_BOX = { min: [0, 0, 0], max: [1, 1, 1] };
+
+/**
+ * The registered block types, keyed by name
+ * @type {{[name: string]: Block}}
+ */
+export const blocks = {};
+
+/**
+ * The registered block types, indexed by id
+ * @type {Block[]}
+ */
+const blocksById = [];
+
+/**
+ * @type {((block: Block) => void)[]}
+ */
+const listeners = [];
+
+/**
+ * Adds a block type to the registry. Properties that are left out get the
+ * defaults of a plain solid block. Blocks without an `id` get the next free
+ * one, so plugins should always register their blocks in the same order to
+ * keep saved worlds stable
+ * @param {Partial<Block> & {name: string}} definition
+ * @returns {Block}
+ */
+export function registerBlock(definition) {
+	const id = definition.id ?? blocksById.length;
+	if (blocks[definition.name]) {
+		throw new Error(`A block called "${definition.name}" already exists`);
+	}
+	if (blocksById[id]) {
+		throw new Error(
+			`Block id ${id} is already used by "${blocksById[id].name}"`
+		);
+	}
+
+	const block = {
+		solid: true,
+		opaque: true,
+		transparent: false,
+		fluid: false,
+		textures: null,
+		color: null,
+		opacity: 1,
+		unlit: false,
+		icon: null,
+		hardness: 1,
+		category: "misc",
+		lightLevel: 0,
+		drops: null,
+		boxes: null,
+		collider: null,
+		...definition,
+		id,
+	};
+	blocks[block.name] = block;
+	blocksById[id] = block;
+	listeners.forEach((listener) => listener(block));
+	return block;
 }
 
-const textures = {
-	dirt: loadTexture("textures/dirt.png"),
-	grass: loadTexture("textures/grass.png"),
-	grassSide: loadTexture("textures/grass_side.png"),
-	stone: loadTexture("textures/stone.png"),
-	coalOre: loadTexture("textures/coal_ore.png"),
-	ironOre: loadTexture("textures/iron_ore.png"),
-	leaves: loadTexture("textures/leaves.png"),
-	treeSide: loadTexture("textures/tree_side.png"),
-	treeTop: loadTexture("textures/tree_top.png"),
-	jungleTreeSide: loadTexture("textures/jungle_tree_side.png"),
-	jungleTreeTop: loadTexture("textures/jungle_tree_top.png"),
-	jungleLeaves: loadTexture("textures/jungle_leaves.png"),
-	cactusTop: loadTexture("textures/cactus_top.png"),
-	cactusSide: loadTexture("textures/cactus_side.png"),
-	sand: loadTexture("textures/sand.png"),
-};
-
-export const blocks = {
-	empty: {
-		id: 0,
-		name: "empty",
-	},
-	grass: {
-		id: 1,
-		name: "grass",
-		color: 0x559020,
-		material: [
-			new THREE.MeshLambertMaterial({ map: textures.grassSide }), //right
-			new THREE.MeshLambertMaterial({ map: textures.grassSide }), //left
-			new THREE.MeshLambertMaterial({ map: textures.grass }), //top
-			new THREE.MeshLambertMaterial({ map: textures.dirt }), //bottom
-			new THREE.MeshLambertMaterial({ map: textures.grassSide }), //front
-			new THREE.MeshLambertMaterial({ map: textures.grassSide }), //back
-		],
-	},
-	dirt: {
-		id: 2,
-		name: "dirt",
-		color: 0x807020,
-		material: new THREE.MeshLambertMaterial({ map: textures.dirt }),
-	},
-	stone: {
-		id: 3,
-		name: "stone",
-		color: 0x808080,
-		scale: {
-			x: 30,
-			y: 30,
-			z: 30,
-		},
-		scarcity: 0.5,
-		material: new THREE.MeshLambertMaterial({ map: textures.stone }),
-	},
-	coalOre: {
-		id: 4,
-		name: "coalOre",
-		color: 0x202020,
-		scale: {
-			x: 20,
-			y: 20,
-			z: 20,
-		},
-		scarcity: 0.8,
-		material: new THREE.MeshLambertMaterial({ map: textures.coalOre }),
-	},
-	ironOre: {
-		id: 5,
-		name: "ironOre",
-		color: 0x806060,
-		scale: {
-			x: 60,
-			y: 60,
-			z: 60,
-		},
-		scarcity: 0.9,
-		material: new THREE.MeshLambertMaterial({ map: textures.ironOre }),
-	},
-	tree: {
-		id: 6,
-		name: "tree",
-		visible: true,
-		material: [
-			new THREE.MeshLambertMaterial({ map: textures.treeSide }), // right
-			new THREE.MeshLambertMaterial({ map: textures.treeSide }), // left
-			new THREE.MeshLambertMaterial({ map: textures.treeTop }), // top
-			new THREE.MeshLambertMaterial({ map: textures.treeTop }), // bottom
-			new THREE.MeshLambertMaterial({ map: textures.treeSide }), // front
-			new THREE.MeshLambertMaterial({ map: textures.treeSide }), // back
-		],
-	},
-	leaves: {
-		id: 7,
-		name: "leaves",
-		visible: true,
-		material: new THREE.MeshLambertMaterial({ map: textures.leaves }),
+/**
+ * Calls `listener` with every block that has been registered so far, and
+ * then with every block registered from now on
+ * @param {(block: Block) => void} listener
+ */
+export function onBlockRegistered(listener) {
+	blocksById.forEach((block) => block && listener(block));
+	listeners.push(listener);
+}
+
+/**
+ * Returns the block type with id `blockId`, or undefined if there is none
+ * @param {number} blockId
+ * @returns {Block | undefined}
+ */
+export function getBlockType(blockId) {
+	return blocksById[blockId];
+}
+
+/**
+ * Returns true if blocks of type `blockId` are a fluid, such as water
+ * @param {number} blockId
+ * @returns {boolean}
+ */
+export function isFluid(blockId) {
+	return blocksById[blockId]?.fluid === true;
+}
+
+/**
+ * Returns true if blocks of type `blockId` stop the player. Unknown blocks
+ * are treated as solid
+ * @param {number} blockId
+ * @returns {boolean}
+ */
+export function isSolid(blockId) {
+	return blocksById[blockId]?.solid ?? true;
+}
+
+/**
+ * Returns true if blocks of type `blockId` hide the faces behind them.
+ * Unknown blocks are treated as opaque
+ * @param {number} blockId
+ * @returns {boolean}
+ */
+export function isOpaque(blockId) {
+	return blocksById[blockId]?.opaque ?? true;
+}
+
+/**
+ * Returns the boxes that blocks of type `blockId` stop the player with,
+ * which is none for blocks that aren't solid
+ * @param {number} blockId
+ * @returns {BlockBox[]}
+ */
+export function getCollisionBoxes(blockId) {
+	const block = blocksById[blockId];
+	if (!block) return [FULL_BOX];
+	if (!block.solid) return [];
+	return block.collider ?? block.boxes ?? [FULL_BOX];
+}
+
+/**
+ * Returns the light that blocks of type `blockId` give off, from 0 to 15
+ * @param {number} blockId
+ * @returns {number}
+ */
+export function getLightLevel(blockId) {
+	return blocksById[blockId]?.lightLevel ?? 0;
+}
+
+/**
+ * Returns true if blocks of type `blockId` can be broken
+ * @param {number} blockId
+ * @returns {boolean}
+ */
+export function isBreakable(blockId) {
+	const block = blocksById[blockId];
+	return (
+		block !== undefined && block.id !== blocks.empty.id && block.hardness >= 0
+	);
+}
+
+const faceNames = ["right", "left", "top", "bottom", "front", "back"];
+
+/**
+ * Returns the texture file name of each face of `block`, in the same order
+ * as the materials of a `THREE.BoxGeometry` (right, left, top, bottom,
+ * front, back). Returns null for blocks without textures
+ * @param {Block} block
+ * @returns {string[] | null}
+ */
+export function getFaceTextures(block) {
+	const { textures } = block;
+	if (!textures) return null;
+	if (typeof textures === "string") return faceNames.map(() => textures);
+
+	return faceNames.map((face) => {
+		const side = face === "top" || face === "bottom" ? null : textures.side;
+		return textures[face] ?? side ?? textures.all;
+	});
+}
+
+/**
+ * Returns the image shown for `block` in the toolbar. This is the top
+ * texture unless the block has an `icon` of its own
+ * @param {Block} block
+ * @returns {string | null}
+ */
+export function getBlockIcon(block) {
+	return block.icon ?? getFaceTextures(block)?.[2] ?? null;
+}
+
+/**
+ * Rolls the items dropped when a block of type `blockId` is broken
+ * @param {number} blockId
+ * @param {() => number} [random] Returns a random number in [0, 1)
+ * @returns {{id: number, count: number}[]}
+ */
+export function getDrops(blockId, random = Math.random) {
+	const block = blocksById[blockId];
+	if (!block) return [];
+	if (!block.drops) return [{ id: block.id, count: 1 }];
+
+	return block.drops
+		.filter((drop) => drop.chance === undefined || random() < drop.chance)
+		.map((drop) => ({ id: blocks[drop.block].id, count: drop.count ?? 1 }));
+}
+
+registerBlock({
+	id: 0,
+	name: "empty",
+	solid: false,
+	opaque: false,
+	hardness: -1,
+	drops: [],
+});
+registerBlock({
+	id: 1,
+	name: "grass",
+	textures: { side: "grass_side.png", top: "grass.png", bottom: "dirt.png" },
+	hardness: 0.6,
+	category: "dirt",
+	drops: [{ block: "dirt" }],
+});
+registerBlock({
+	id: 2,
+	name: "dirt",
+	textures: "dirt.png",
+	hardness: 0.5,
+	category: "dirt",
+});
+registerBlock({
+	id: 3,
+	name: "stone",
+	textures: "stone.png",
+	hardness: 1.5,
+	category: "stone",
+	scale: {
+		x: 30,
+		y: 30,
+		z: 30,
 	},
-	sand: {
-		id: 8,
-		name: "sand",
-		visible: true,
-		material: new THREE.MeshLambertMaterial({ map: textures.sand }),
+	scarcity: 0.5,
+});
+registerBlock({
+	id: 4,
+	name: "coalOre",
+	textures: "coal_ore.png",
+	hardness: 3,
+	category: "stone",
+	scale: {
+		x: 20,
+		y: 20,
+		z: 20,
 	},
-	cloud: {
-		id: 9,
-		name: "cloud",
-		visible: true,
-		material: new THREE.MeshBasicMaterial({ color: 0xf0f0f0 }),
+	scarcity: 0.8,
+});
+registerBlock({
+	id: 5,
+	name: "ironOre",
+	textures: "iron_ore.png",
+	hardness: 3,
+	category: "stone",
+	scale: {
+		x: 60,
+		y: 60,
+		z: 60,
 	},
-	snow: {
-		id: 10,
-		name: "snow",
-		visible: true,
-		material: new THREE.MeshLambertMaterial({ color: 0xffffff }),
+	scarcity: 0.9,
+});
+registerBlock({
+	id: 6,
+	name: "tree",
+	textures: {
+		side: "tree_side.png",
+		top: "tree_top.png",
+		bottom: "tree_top.png",
 	},
-	jungleTree: {
-		id: 11,
-		name: "jungleTree",
-		visible: true,
-		material: [
-			new THREE.MeshLambertMaterial({ map: textures.jungleTreeSide }), // right
-			new THREE.MeshLambertMaterial({ map: textures.jungleTreeSide }), // left
-			new THREE.MeshLambertMaterial({ map: textures.jungleTreeTop }), // top
-			new THREE.MeshLambertMaterial({ map: textures.jungleTreeTop }), // bottom
-			new THREE.MeshLambertMaterial({ map: textures.jungleTreeSide }), // front
-			new THREE.MeshLambertMaterial({ map: textures.jungleTreeSide }), // back
-		],
+	hardness: 2,
+	category: "wood",
+});
+registerBlock({
+	id: 7,
+	name: "leaves",
+	textures: "leaves.png",
+	opaque: false,
+	hardness: 0.2,
+	category: "plant",
+	drops: [],
+});
+registerBlock({
+	id: 8,
+	name: "sand",
+	textures: "sand.png",
+	hardness: 0.5,
+	category: "dirt",
+});
+registerBlock({
+	id: 9,
+	name: "cloud",
+	color: 0xf0f0f0,
+	// Clouds are lit evenly so they don't look like floating blocks, and
+	// let the sunlight through to the ground below them
+	unlit: true,
+	solid: false,
+	opaque: false,
+	hardness: -1,
+});
+registerBlock({
+	id: 10,
+	name: "snow",
+	color: 0xffffff,
+	hardness: 0.2,
+	category: "dirt",
+});
+registerBlock({
+	id: 11,
+	name: "jungleTree",
+	textures: {
+		side: "jungle_tree_side.png",
+		top: "jungle_tree_top.png",
+		bottom: "jungle_tree_top.png",
 	},
-	jungleLeaves: {
-		id: 12,
-		name: "jungleLeaves",
-		visible: true,
-		material: new THREE.MeshLambertMaterial({ map: textures.jungleLeaves }),
+	hardness: 2,
+	category: "wood",
+});
+registerBlock({
+	id: 12,
+	name: "jungleLeaves",
+	textures: "jungle_leaves.png",
+	opaque: false,
+	hardness: 0.2,
+	category: "plant",
+	drops: [],
+});
+registerBlock({
+	id: 13,
+	name: "cactus",
+	textures: {
+		side: "cactus_side.png",
+		top: "cactus_top.png",
+		bottom: "cactus_top.png",
 	},
-	cactus: {
-		id: 13,
-		name: "cactus",
-		visible: true,
-		material: [
-			new THREE.MeshLambertMaterial({ map: textures.cactusSide }), // right
-			new THREE.MeshLambertMaterial({ map: textures.cactusSide }), // left
-			new THREE.MeshLambertMaterial({ map: textures.cactusTop }), // top
-			new THREE.MeshLambertMaterial({ map: textures.cactusTop }), // bottom
-			new THREE.MeshLambertMaterial({ map: textures.cactusSide }), // front
-			new THREE.MeshLambertMaterial({ map: textures.cactusSide }), // back
-		],
+	hardness: 0.4,
+	category: "plant",
+});
+registerBlock({
+	id: 14,
+	name: "water",
+	textures: "water.png",
+	// Fluids can be walked through and flow into the empty blocks around
+	// them. The block state holds the fluid level. Water can't be mined,
+	// but its sources can be picked up with a right click and placed again
+	fluid: true,
+	solid: false,
+	opaque: false,
+	transparent: true,
+	opacity: 0.7,
+	hardness: -1,
+	drops: [],
+});
+
+registerBlock({
+	id: 15,
+	name: "planks",
+	textures: "planks.png",
+	hardness: 2,
+	category: "wood",
+});
+registerBlock({
+	id: 16,
+	name: "craftingTable",
+	textures: {
+		side: "crafting_table_side.png",
+		top: "crafting_table_top.png",
+		bottom: "planks.png",
 	},
-};
+	hardness: 2.5,
+	category: "wood",
+});
+registerBlock({
+	id: 17,
+	name: "glass",
+	textures: "glass.png",
+	opaque: false,
+	hardness: 0.3,
+});
+registerBlock({
+	id: 18,
+	name: "ironBlock",
+	textures: "iron_block.png",
+	hardness: 5,
+	category: "stone",
+});
+registerBlock({
+	id: 19,
+	name: "lantern",
+	textures: "lantern.png",
+	hardness: 0.5,
+	lightLevel: 15,
+});
+registerBlock({
+	id: 20,
+	name: "slab",
+	textures: "stone.png",
+	boxes: [{ min: [0, 0, 0], max: [1, 0.5, 1] }],
+	opaque: false,
+	hardness: 1.5,
+	category: "stone",
+});
+registerBlock({
+	id: 21,
+	name: "fence",
+	textures: "planks.png",
+	boxes: [{ min: [0.375, 0, 0.375], max: [0.625, 1, 0.625] }],
+	// Stops the player higher up than the post is drawn, so it is harder
+	// to jump over than a block
+	collider: [{ min: [0.375, 0, 0.375], max: [0.625, 1.5, 0.625] }],
+	opaque: false,
+	hardness: 2,
+	category: "wood",
+});
 
 export const resources = [blocks.stone, blocks.coalOre, blocks.ironOre];
@@ -0,0 +1,46 @@
+/**
+ * How many times faster breath comes back than it is used up
+ */
+const RECOVERY_RATE = 5;
+
+/**
+ * How long the player can stay underwater. Breath is used up while their
+ * head is underwater and comes back once they are out of it
+ */
+export class Breath {
+	/**
+	 * How long a full breath lasts, in seconds
+	 */
+	max = 10;
+	/**
+	 * Seconds of breath left
+	 */
+	left = this.max;
+
+	/**
+	 * The breath left, from 0 to 1
+	 * @type {number}
+	 */
+	get fraction() {
+		return this.left / this.max;
+	}
+
+	/**
+	 * Uses up breath while underwater, and gets it back otherwise
+	 * @param {number} dt
+	 * @param {boolean} underwater
+	 * @returns {boolean} Whether the breath has run out underwater
+	 */
+	update(dt, underwater) {
+		const change = underwater ? -dt : RECOVERY_RATE * dt;
+		this.left = Math.min(Math.max(this.left + change, 0), this.max);
+		return underwater && this.left === 0;
+	}
+
+	/**
+	 * Gives back the full breath
+	 */
+	refill() {
+		this.left = this.max;
+	}
+}
@@ -0,0 +1,49 @@
+/**
+ * Number of bubbles shown when the player has a full breath
+ */
+const BUBBLES = 10;
+
+/**
+ * The row of bubbles above the toolbar showing how long the player can
+ * stay underwater. It is hidden while the player has their full breath
+ */
+export class BreathMeter {
+	/**
+	 * Number of bubbles currently shown
+	 */
+	bubbles = BUBBLES;
+
+	/**
+	 * @param {HTMLElement} element The element the bubbles are added to
+	 */
+	constructor(element) {
+		this.element = element;
+		this.render();
+	}
+
+	/**
+	 * Shows the player's breath, from 0 to 1
+	 * @param {number} breath
+	 */
+	update(breath) {
+		const bubbles = Math.ceil(breath * BUBBLES);
+		if (bubbles !== this.bubbles) {
+			this.bubbles = bubbles;
+			this.render();
+		}
+		this.element.classList.toggle("hidden", breath >= 1);
+	}
+
+	/**
+	 * Redraws the bubbles, with the ones that have been used up popped
+	 */
+	render() {
+		this.element.replaceChildren();
+		for (let i = 0; i < BUBBLES; i++) {
+			const bubble = document.createElement("div");
+			bubble.className = "bubble";
+			bubble.classList.toggle("popped", i >= this.bubbles);
+			this.element.appendChild(bubble);
+		}
+	}
+}
@@ -0,0 +1,316 @@
+/**
+ * Voxel data for a single chunk. Holds no rendering state so it can be
+ * created and filled outside the browser.
+ *
+ * Block ids are stored in a flat typed array indexed by `getIndex()`.
+ * Blocks can also carry a small amount of extra state (0-255) and a light
+ * value, packed by `packLight()`. None of the arrays are allocated until a
+ * non-empty value is written, so chunks that are all air (such as the sky)
+ * take up no memory until they are lit.
+ */
+export class ChunkData {
+	/**
+	 * @param {{width: number, height: number}} size
+	 * @param {Uint16Array | null} [ids] Existing block ids to wrap, e.g.
+	 * posted back from a worker
+	 * @param {Uint8Array | null} [states] Existing block states to wrap
+	 */
+	constructor(size, ids = null, states = null) {
+		this.size = size;
+		this.volume = size.width * size.width * size.height;
+		/**
+		 * @type {Uint16Array | null}
+		 */
+		this.ids = ids;
+		/**
+		 * @type {Uint8Array | null}
+		 */
+		this.states = states;
+		/**
+		 * @type {Uint8Array | null}
+		 */
+		this.light = null;
+	}
+
+	/**
+	 * Returns the index of the block at (x, y, z) in the flat block arrays
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @returns {number}
+	 */
+	getIndex(x, y, z) {
+		return (y * this.size.width + z) * this.size.width + x;
+	}
+
+	/**
+	 * Gets the block data at (x, y, z)
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @return {{id:number, state: number} | null}
+	 */
+	getBlock(x, y, z) {
+		if (this.inBounds(x, y, z)) {
+			const index = this.getIndex(x, y, z);
+			return {
+				id: this.ids ? this.ids[index] : 0,
+				state: this.states ? this.states[index] : 0,
+			};
+		} else {
+			return null;
+		}
+	}
+
+	/**
+	 * Gets the id of the block at (x, y, z) without allocating
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @return {number | null}
+	 */
+	getBlockId(x, y, z) {
+		if (this.inBounds(x, y, z)) {
+			return this.ids ? this.ids[this.getIndex(x, y, z)] : 0;
+		} else {
+			return null;
+		}
+	}
+
+	/**
+	 * Sets the block id for the block at (x, y, z)
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @param {number} id
+	 */
+	setBlockId(x, y, z, id) {
+		if (this.inBounds(x, y, z)) {
+			this.setBlockIdAt(this.getIndex(x, y, z), id);
+		}
+	}
+
+	/**
+	 * Sets the id of the block at `index` in the flat block arrays
+	 * @param {number} index
+	 * @param {number} id
+	 */
+	setBlockIdAt(index, id) {
+		if (!this.ids) {
+			if (id === 0) return;
+			this.ids = new Uint16Array(this.volume);
+		}
+		this.ids[index] = id;
+	}
+
+	/**
+	 * Returns true if every block in the chunk is empty. This is only
+	 * exact for chunks that have never had a block written to them
+	 * @returns {boolean}
+	 */
+	isEmpty() {
+		return this.ids === null;
+	}
+
+	/**
+	 * Gets the extra state of the block at (x, y, z)
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @return {number}
+	 */
+	getBlockState(x, y, z) {
+		if (this.states && this.inBounds(x, y, z)) {
+			return this.states[this.getIndex(x, y, z)];
+		} else {
+			return 0;
+		}
+	}
+
+	/**
+	 * Sets the extra state of the block at (x, y, z)
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @param {number} state
+	 */
+	setBlockState(x, y, z, state) {
+		if (!this.inBounds(x, y, z)) return;
+		if (!this.states) {
+			if (state === 0) return;
+			this.states = new Uint8Array(this.volume);
+		}
+		this.states[this.getIndex(x, y, z)] = state;
+	}
+
+	/**
+	 * Gets the packed light value of the block at `index` in the flat block
+	 * arrays
+	 * @param {number} index
+	 * @returns {number}
+	 */
+	getLightAt(index) {
+		return this.light ? this.light[index] : 0;
+	}
+
+	/**
+	 * Sets the packed light value of the block at `index` in the flat block
+	 * arrays
+	 * @param {number} index
+	 * @param {number} light
+	 */
+	setLightAt(index, light) {
+		if (!this.light) {
+			if (light === 0) return;
+			this.light = new Uint8Array(this.volume);
+		}
+		this.light[index] = light;
+	}
+
+	/**
+	 * Sets the packed light value of every block
+	 * @param {number} light
+	 */
+	fillLight(light) {
+		if (!this.light) {
+			if (light === 0) return;
+			this.light = new Uint8Array(this.volume);
+		}
+		this.light.fill(light);
+	}
+
+	/**
+	 * Gets the packed light value of the block at (x, y, z)
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @returns {number}
+	 */
+	getLight(x, y, z) {
+		if (this.light && this.inBounds(x, y, z)) {
+			return this.light[this.getIndex(x, y, z)];
+		} else {
+			return 0;
+		}
+	}
+
+	/**
+	 * Copies all of the blocks from `source`, which must be the same size
+	 * @param {ChunkData} source
+	 * @returns {ChunkData}
+	 */
+	copy(source) {
+		if (source.ids) {
+			if (!this.ids) this.ids = new Uint16Array(this.volume);
+			this.ids.set(source.ids);
+		} else {
+			this.ids = null;
+		}
+		if (source.states) {
+			if (!this.states) this.states = new Uint8Array(this.volume);
+			this.states.set(source.states);
+		} else {
+			this.states = null;
+		}
+		if (source.light) {
+			if (!this.light) this.light = new Uint8Array(this.volume);
+			this.light.set(source.light);
+		} else {
+			this.light = null;
+		}
+		return this;
+	}
+
+	/**
+	 * @returns {ChunkData}
+	 */
+	clone() {
+		return new ChunkData(this.size).copy(this);
+	}
+
+	/**
+	 * Returns the buffers backing this chunk, so they can be transferred to
+	 * or from a worker without being copied
+	 * @returns {ArrayBuffer[]}
+	 */
+	getTransferables() {
+		return [this.ids, this.states]
+			.filter((array) => array !== null)
+			.map((array) => array.buffer);
+	}
+
+	/**
+	 * Serializes the blocks into a byte array. The block ids come first as
+	 * little-endian 16-bit values, followed by the block states if the
+	 * chunk has any
+	 * @returns {Uint8Array}
+	 */
+	serialize() {
+		const bytes = new Uint8Array(
+			this.volume * 2 + (this.states ? this.volume : 0)
+		);
+		const view = new DataView(bytes.buffer);
+		if (this.ids) {
+			for (let i = 0; i < this.volume; i++) {
+				view.setUint16(i * 2, this.ids[i], true);
+			}
+		}
+		if (this.states) {
+			bytes.set(this.states, this.volume * 2);
+		}
+		return bytes;
+	}
+
+	/**
+	 * Creates chunk data from bytes written by `serialize()`
+	 * @param {{width: number, height: number}} size
+	 * @param {Uint8Array} bytes
+	 * @returns {ChunkData}
+	 */
+	static deserialize(size, bytes) {
+		const data = new ChunkData(size);
+		if (bytes.length !== data.volume * 2 && bytes.length !== data.volume * 3) {
+			throw new Error(
+				`Chunk data is ${bytes.length} bytes, which doesn't match the chunk size`
+			);
+		}
+
+		const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		for (let i = 0; i < data.volume; i++) {
+			data.setBlockIdAt(i, view.getUint16(i * 2, true));
+		}
+		if (bytes.length > data.volume * 2) {
+			data.states = bytes.slice(data.volume * 2);
+		}
+		return data;
+	}
+
+	/**
+	 * Applies the player's changes to the data model
+	 * @param {{x: number, y: number, z: number, blockId: number}[]} changes
+	 * @see DataStore.getChunkChanges
+	 */
+	applyChanges(changes) {
+		for (const { x, y, z, blockId } of changes) {
+			this.setBlockId(x, y, z, blockId);
+		}
+	}
+
+	/**
+	 * Check if the (x, y, z) coordinates are within bounds
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @return {boolean}
+	 */
+	inBounds(x, y, z) {
+		return (
+			x >= 0 &&
+			x < this.size.width &&
+			y >= 0 &&
+			y < this.size.height &&
+			z >= 0 &&
+			z < this.size.width
+		);
+	}
+}
@@ -0,0 +1,448 @@
+import { SimplexNoise } from "three/examples/jsm/math/SimplexNoise.js";
+import { RNG } from "./rng.js";
+import { blocks, resources } from "./blocks.js";
+import { ChunkData } from "./chunkData.js";
+import { biomes } from "./biomes.js";
+
+/**
+ * Number of steps a cave worm takes. Each step moves it one block
+ */
+const WORM_STEPS = 80;
+
+/**
+ * Generates the voxel data for a single chunk section. Only depends on the
+ * world params, so it runs the same in the browser and in Node.
+ *
+ * Generation works in world heights and every section walks through the
+ * whole column, so the random numbers drawn for a column (e.g. for trees)
+ * are the same no matter which section is being generated. Only the blocks
+ * inside the section are written.
+ */
+export class ChunkGenerator {
+	/**
+	 * @param {{width: number, height: number}} size
+	 * @param {object} params World generation params
+	 * @param {{x: number, y: number, z: number}} position World position of
+	 * the section's origin
+	 * @param {import("./biomes.js").Biome[]} [biomeList] The biomes to
+	 * generate, defaults to every registered biome
+	 */
+	constructor(size, params, position, biomeList = Object.values(biomes)) {
+		this.size = size;
+		this.params = params;
+		this.biomes = biomeList;
+		this.position = { x: position.x, y: position.y, z: position.z };
+		this.data = new ChunkData(size);
+		/**
+		 * Terrain height of each column, indexed by `z * width + x`
+		 */
+		this.heights = new Int32Array(size.width * size.width);
+	}
+
+	/**
+	 * Generates the chunk data, then applies the player's `changes` on top
+	 * @param {{x: number, y: number, z: number, blockId: number}[]} [changes]
+	 * @returns {ChunkData}
+	 */
+	generate(changes = []) {
+		const rng = new RNG(this.params.seed);
+		this.generateTerrain(rng);
+		this.generateCaves();
+		this.generateClouds(rng);
+		this.data.applyChanges(changes);
+
+		return this.data;
+	}
+
+	/**
+	 * Gets the temperature and humidity (both 0-1) at the local chunk
+	 * coordinates (x, z)
+	 * @param {SimplexNoise} simplex
+	 * @param {number} x
+	 * @param {number} z
+	 * @returns {{temperature: number, humidity: number}}
+	 */
+	getClimate(simplex, x, z) {
+		const { scale, variation } = this.params.biomes;
+		const sample = (offset) =>
+			0.5 *
+				simplex.noise(
+					(this.position.x + x) / scale + offset,
+					(this.position.z + z) / scale - offset
+				) +
+			0.5 +
+			variation.amplitude *
+				simplex.noise(
+					(this.position.x + x) / variation.scale + offset,
+					(this.position.z + z) / variation.scale - offset
+				);
+
+		// Humidity is sampled far away from temperature so they are unrelated
+		return { temperature: sample(0), humidity: sample(1000) };
+	}
+
+	/**
+	 * Returns how much each biome contributes to the climate. Biomes fade
+	 * into each other within `params.biomes.blend` of the edges of their
+	 * climate ranges, so terrain heights change smoothly across borders.
+	 * The weights add up to 1
+	 * @param {{temperature: number, humidity: number}} climate
+	 * @returns {number[]} Weights in the same order as `this.biomes`
+	 */
+	getBiomeWeights(climate) {
+		const { blend } = this.params.biomes;
+		// How far inside of its climate range each biome is. Negative
+		// values are outside of the range
+		const fits = this.biomes.map(({ climate: range }) =>
+			Math.min(
+				climate.temperature - range.temperature.min,
+				range.temperature.max - climate.temperature,
+				climate.humidity - range.humidity.min,
+				range.humidity.max - climate.humidity
+			)
+		);
+
+		const weights = fits.map((fit) => smoothstep(-blend, blend, fit));
+		const total = weights.reduce((sum, weight) => sum + weight, 0);
+		if (total === 0) {
+			// No biome covers this climate, so use the closest one
+			const closest = fits.indexOf(Math.max(...fits));
+			return weights.map((_, i) => (i === closest ? 1 : 0));
+		}
+		return weights.map((weight) => weight / total);
+	}
+
+	/**
+	 * Generates the terrain data for the world
+	 */
+	generateTerrain(rng) {
+		const simplex = new SimplexNoise(rng);
+
+		for (let x = 0; x < this.size.width; x++) {
+			for (let z = 0; z < this.size.width; z++) {
+				// Compute the noise value at this x-z location
+				const value = simplex.noise(
+					(this.position.x + x) / this.params.terrain.scale,
+					(this.position.z + z) / this.params.terrain.scale
+				);
+
+				// Blend the terrain shape of the biomes at this x-z location
+				const weights = this.getBiomeWeights(this.getClimate(simplex, x, z));
+				let offset = this.params.terrain.offset;
+				let magnitude = 0;
+				let biomeIndex = 0;
+				this.biomes.forEach(({ terrain }, i) => {
+					offset += weights[i] * terrain.offset;
+					magnitude +=
+						weights[i] * terrain.amplitude * this.params.terrain.magnitude;
+					if (weights[i] > weights[biomeIndex]) biomeIndex = i;
+				});
+				const biome = this.biomes[biomeIndex];
+
+				// Compute the height of the terrain at this x-z location
+				const height = Math.max(0, Math.floor(offset + magnitude * value));
+				this.heights[z * this.size.width + x] = height;
+
+				if (height <= this.params.terrain.waterOffset) {
+					this.setBlockId(x, height, z, blocks.sand.id);
+				} else {
+					this.setBlockId(x, height, z, biome.surface);
+
+					// Randomly generate trees
+					for (const rule of biome.vegetation) {
+						if (rng.random() < rule.frequency) {
+							this.generateTree(rng, rule, x, height + 1, z);
+							break;
+						}
+					}
+				}
+
+				for (let depth = 1; depth <= biome.subsurfaceDepth; depth++) {
+					this.setBlockId(x, height - depth, z, biome.subsurface);
+				}
+
+				// Flood low terrain with water up to the water level
+				for (let y = height + 1; y <= this.params.terrain.waterOffset; y++) {
+					this.setBlockId(x, y, z, blocks.water.id);
+				}
+
+				// Fill in the blocks below the surface that are in this section
+				const top = Math.min(height, this.position.y + this.size.height);
+				for (let y = this.position.y; y < top; y++) {
+					if (this.getBlockId(x, y, z) === blocks.empty.id) {
+						this.generateResourceIfNeeded(simplex, x, y, z);
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * Determines if a resource block should be generated at (x, y, z)
+	 * @param {SimplexNoise} simplex
+	 * @param {number} x
+	 * @param {number} y World height
+	 * @param {number} z
+	 */
+	generateResourceIfNeeded(simplex, x, y, z) {
+		this.setBlockId(x, y, z, blocks.dirt.id);
+		resources.forEach((resource) => {
+			const value = simplex.noise3d(
+				(this.position.x + x) / resource.scale.x,
+				y / resource.scale.y,
+				(this.position.z + z) / resource.scale.z
+			);
+			if (value > resource.scarcity) {
+				this.setBlockId(x, y, z, resource.id);
+				return;
+			}
+		});
+	}
+
+	/**
+	 * Grows a tree described by the vegetation `rule` with its base at
+	 * (x, y, z)
+	 * @param {RNG} rng
+	 * @param {import("./biomes.js").VegetationRule} rule
+	 */
+	generateTree(rng, rule, x, y, z) {
+		const minH = this.params.trees.trunk.minHeight;
+		const maxH = this.params.trees.trunk.maxHeight;
+		const h = Math.round(minH + (maxH - minH) * rng.random());
+
+		for (let treeY = y; treeY < y + h; treeY++) {
+			this.setBlockId(x, treeY, z, rule.trunk);
+		}
+
+		if (rule.leaves !== null) {
+			// Generate canopy centered on the top of the tree
+			this.generateTreeCanopy(rule.leaves, x, y + h, z, rng);
+		}
+	}
+
+	generateTreeCanopy(leaves, centerX, centerY, centerZ, rng) {
+		const minR = this.params.trees.canopy.minRadius;
+		const maxR = this.params.trees.canopy.maxRadius;
+		const r = Math.round(minR + (maxR - minR) * rng.random());
+
+		for (let x = -r; x <= r; x++) {
+			for (let y = -r; y <= r; y++) {
+				for (let z = -r; z <= r; z++) {
+					const n = rng.random();
+					// Make sure the block is within the canopy radius
+					if (x * x + y * y + z * z > r * r) continue;
+					// Don't overwrite an existing block
+					const blockId = this.getBlockId(
+						centerX + x,
+						centerY + y,
+						centerZ + z
+					);
+					if (blockId && blockId !== blocks.empty.id) continue;
+					if (n < this.params.trees.canopy.density) {
+						this.setBlockId(centerX + x, centerY + y, centerZ + z, leaves);
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * Carves caves out of the terrain. Noise caves hollow out pockets where
+	 * 3D noise is high, and worm tunnels wind between them. Worms can start
+	 * in a nearby chunk and tunnel into this one, so every chunk close
+	 * enough to reach this section is walked with its own seeded RNG
+	 */
+	generateCaves() {
+		const { density, size } = this.params.caves;
+		if (density <= 0) return;
+
+		const simplex = new SimplexNoise(new RNG(hash(this.params.seed, 1, 0)));
+		for (let x = 0; x < this.size.width; x++) {
+			for (let z = 0; z < this.size.width; z++) {
+				for (let y = 0; y < this.size.height; y++) {
+					const value = simplex.noise3d(
+						(this.position.x + x) / (size * 8),
+						(this.position.y + y) / (size * 4),
+						(this.position.z + z) / (size * 8)
+					);
+					if (value > 1 - density) {
+						this.carveBlock(x, this.position.y + y, z);
+					}
+				}
+			}
+		}
+
+		const reach = Math.ceil((WORM_STEPS + size) / this.size.width);
+		const chunkX = Math.floor(this.position.x / this.size.width);
+		const chunkZ = Math.floor(this.position.z / this.size.width);
+		for (let x = chunkX - reach; x <= chunkX + reach; x++) {
+			for (let z = chunkZ - reach; z <= chunkZ + reach; z++) {
+				const rng = new RNG(hash(this.params.seed, x, z));
+				const count = Math.floor(density * 3 + rng.random());
+				for (let i = 0; i < count; i++) {
+					this.generateWorm(rng, x, z);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Digs a tunnel that starts at a random point in the chunk at
+	 * (chunkX, chunkZ) and wanders off in a random direction
+	 * @param {RNG} rng
+	 * @param {number} chunkX
+	 * @param {number} chunkZ
+	 */
+	generateWorm(rng, chunkX, chunkZ) {
+		const { size } = this.params.caves;
+		let x = (chunkX + rng.random()) * this.size.width;
+		let y = 1 + rng.random() * this.params.terrain.offset;
+		let z = (chunkZ + rng.random()) * this.size.width;
+		let yaw = rng.random() * Math.PI * 2;
+		let pitch = (rng.random() - 0.5) * 0.5;
+
+		for (let step = 0; step < WORM_STEPS; step++) {
+			x += Math.cos(yaw) * Math.cos(pitch);
+			y += Math.sin(pitch);
+			z += Math.sin(yaw) * Math.cos(pitch);
+			yaw += (rng.random() - 0.5) * 0.4;
+			pitch = pitch * 0.9 + (rng.random() - 0.5) * 0.2;
+
+			// Tunnels are widest in the middle and taper off at the ends
+			const radius = 1 + (size - 1) * Math.sin((step / WORM_STEPS) * Math.PI);
+			this.carveSphere(x, y, z, radius);
+		}
+	}
+
+	/**
+	 * Carves out the blocks in this section within `radius` of the world
+	 * position (centerX, centerY, centerZ)
+	 * @param {number} centerX
+	 * @param {number} centerY
+	 * @param {number} centerZ
+	 * @param {number} radius
+	 */
+	carveSphere(centerX, centerY, centerZ, radius) {
+		const localX = centerX - this.position.x;
+		const localZ = centerZ - this.position.z;
+		const minX = Math.max(0, Math.ceil(localX - radius));
+		const maxX = Math.min(this.size.width - 1, Math.floor(localX + radius));
+		const minY = Math.max(this.position.y, Math.ceil(centerY - radius));
+		const maxY = Math.min(
+			this.position.y + this.size.height - 1,
+			Math.floor(centerY + radius)
+		);
+		const minZ = Math.max(0, Math.ceil(localZ - radius));
+		const maxZ = Math.min(this.size.width - 1, Math.floor(localZ + radius));
+
+		for (let x = minX; x <= maxX; x++) {
+			for (let y = minY; y <= maxY; y++) {
+				for (let z = minZ; z <= maxZ; z++) {
+					const dx = x - localX;
+					const dy = y - centerY;
+					const dz = z - localZ;
+					if (dx * dx + dy * dy + dz * dz <= radius * radius) {
+						this.carveBlock(x, y, z);
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * Empties the block at the local x-z coordinates and world height y if
+	 * it is underground and within the cave depth limits. The bottom layer
+	 * of the world is never carved, and caves never break through the ground
+	 * under water
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 */
+	carveBlock(x, y, z) {
+		const { minDepth, maxDepth, breakSurface } = this.params.caves;
+		const depth = this.heights[z * this.size.width + x] - y;
+		if (y < 1 || depth < 0 || depth > maxDepth) return;
+		if (depth < minDepth) {
+			const underwater = y < this.params.terrain.waterOffset;
+			if (!breakSurface || underwater) return;
+		}
+
+		this.setBlockId(x, y, z, blocks.empty.id);
+	}
+
+	/**
+	 * Creates happy little cloud
+	 * @param {RNG} rng
+	 */
+	generateClouds(rng) {
+		const simplex = new SimplexNoise(rng);
+		for (let x = 0; x < this.size.width; x++) {
+			for (let z = 0; z < this.size.width; z++) {
+				const value =
+					(simplex.noise(
+						(this.position.x + x) / this.params.clouds.scale,
+						(this.position.z + z) / this.params.clouds.scale
+					) +
+						1) *
+					0.5;
+
+				if (value < this.params.clouds.density) {
+					this.setBlockId(x, this.params.clouds.height, z, blocks.cloud.id);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Gets the id of the block at the local x-z coordinates and world height
+	 * y, or null if it is outside of this section
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @returns {number | null}
+	 */
+	getBlockId(x, y, z) {
+		return this.data.getBlockId(x, y - this.position.y, z);
+	}
+
+	/**
+	 * Sets the block at the local x-z coordinates and world height y. Blocks
+	 * outside of this section are ignored
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @param {number} id
+	 */
+	setBlockId(x, y, z, id) {
+		this.data.setBlockId(x, y - this.position.y, z, id);
+	}
+}
+
+/**
+ * Smoothly goes from 0 when `x` is at `edge0` to 1 when `x` is at `edge1`
+ * @param {number} edge0
+ * @param {number} edge1
+ * @param {number} x
+ * @returns {number}
+ */
+function smoothstep(edge0, edge1, x) {
+	const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+	return t * t * (3 - 2 * t);
+}
+
+/**
+ * Mixes the seed and two coordinates into a 32-bit seed, so neighboring
+ * chunks get unrelated random numbers
+ * @param {number} seed
+ * @param {number} x
+ * @param {number} z
+ * @returns {number}
+ */
+function hash(seed, x, z) {
+	let h = Math.imul(seed | 0, 0x27d4eb2d);
+	h = Math.imul(h ^ x, 0x165667b1) + 0x3c6ef372;
+	h = Math.imul(h ^ z, 0x85ebca6b);
+	h ^= h >>> 15;
+	h = Math.imul(h, 0xc2b2ae35);
+	return (h ^ (h >>> 16)) >>> 0;
+}
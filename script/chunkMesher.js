@@ -0,0 +1,499 @@
+import { blocks, getBlockType, isFluid, isOpaque } from "./blocks.js";
+import { FLUID_FALLING, getFluidHeight } from "./fluidSimulator.js";
+import { getTileIndex } from "./textureAtlas.js";
+import { MAX_LIGHT, getBlockLight, getSunlight } from "./lighting.js";
+
+/**
+ * Brightness of each light level. Every level is a bit darker than the
+ * one above it, so light fades out smoothly instead of in a straight line
+ */
+const lightCurve = Array.from(
+	{ length: MAX_LIGHT + 1 },
+	(_, level) => 0.8 ** (MAX_LIGHT - level)
+);
+
+/**
+ * The six face directions of a block, in the same order as the materials
+ * of a `THREE.BoxGeometry` (right, left, top, bottom, front, back)
+ * - `axis` is the axis the face normal points along
+ * - `u`/`v` are the axes the face extends along
+ * - `uv` maps a corner position to its texture coordinate
+ */
+const faces = [
+	{
+		axis: 0,
+		sign: 1,
+		uv: (x, y, z) => [-z, y],
+	},
+	{
+		axis: 0,
+		sign: -1,
+		uv: (x, y, z) => [z, y],
+	},
+	{
+		axis: 1,
+		sign: 1,
+		uv: (x, y, z) => [x, -z],
+	},
+	{
+		axis: 1,
+		sign: -1,
+		uv: (x, y, z) => [x, z],
+	},
+	{
+		axis: 2,
+		sign: 1,
+		uv: (x, y, z) => [x, y],
+	},
+	{
+		axis: 2,
+		sign: -1,
+		uv: (x, y, z) => [-x, y],
+	},
+];
+
+/**
+ * Directions from the middle of a face to its corners along the face's u
+ * and v axes, in counter-clockwise order. Corner occlusion is packed into
+ * two bits per corner in this order
+ */
+const cornerDirections = [
+	[-1, -1],
+	[1, -1],
+	[1, 1],
+	[-1, 1],
+];
+
+/**
+ * Packed occlusion of a face with none of its corners occluded
+ */
+const UNOCCLUDED = 0xff;
+
+/**
+ * Packed occlusions where every corner is occluded the same amount, so the
+ * face looks the same however many of them are merged together
+ */
+const uniformOcclusion = new Set([0x00, 0x55, 0xaa, 0xff]);
+
+/**
+ * Returns the index of the chunk material used to draw blocks of type
+ * `blockId`: 0 for opaque blocks, 1 for transparent blocks and 2 for
+ * blocks that aren't affected by lighting
+ * @param {number} blockId
+ * @returns {number}
+ */
+export function getMaterialIndex(blockId) {
+	const block = getBlockType(blockId);
+	if (block?.transparent) return 1;
+	if (block?.unlit) return 2;
+	return 0;
+}
+
+/**
+ * Returns true if blocks of type `blockId` are drawn as boxes instead of
+ * a full cube
+ * @param {number} blockId
+ * @returns {boolean}
+ */
+function hasBoxes(blockId) {
+	return getBlockType(blockId)?.boxes != null;
+}
+
+/**
+ * @typedef {{
+ *  positions: Float32Array,
+ *  normals: Float32Array,
+ *  uvs: Float32Array,
+ *  tiles: Float32Array,
+ *  lights: Float32Array,
+ *  occlusion: Float32Array,
+ *  indices: Uint32Array,
+ *  groups: {start: number, count: number, materialIndex: number}[]
+ * }} MeshBuffers
+ */
+
+/**
+ * Builds the geometry buffers for a chunk. Only faces that are not covered
+ * by an opaque neighbouring block are emitted, and coplanar faces of the
+ * same block type are merged into larger quads. Faces between two blocks of
+ * the same type are always culled. Texture coordinates are in block units
+ * and each vertex has the index of its texture atlas tile, so the tile can
+ * be repeated across merged quads. Each vertex also has the brightness of
+ * the sunlight and block light of the block in front of its face, and how
+ * much its corner is occluded by the opaque blocks around it, from 0 to 1.
+ * Only faces with the same light and occlusion are merged, and faces whose
+ * corners are occluded differently are never merged, so the occlusion is
+ * never stretched across a merged quad. Quads are split into triangles
+ * along the diagonal that keeps the occlusion from looking lopsided.
+ *
+ * A face is only drawn if the block in front of it isn't opaque, so the
+ * faces behind leaves and glass still show. Transparent blocks and fluids
+ * are returned in their own buffers so they can be drawn after everything
+ * else. The surface of a fluid is lowered to match its level unless there
+ * is more fluid above it. Blocks with `boxes`, like slabs, are drawn as
+ * those boxes instead of being merged with the blocks around them.
+ *
+ * Blocks are centered on their integer coordinates, so the block at
+ * (x, y, z) spans (x - 0.5, y - 0.5, z - 0.5) to (x + 0.5, y + 0.5, z + 0.5)
+ * @param {{width: number, height: number}} size
+ * @param {(x: number, y: number, z: number) => number} getBlockId Returns the
+ * id of the block at chunk-local (x, y, z). Must also handle coordinates just
+ * outside of the chunk so faces on the chunk border can be culled
+ * @param {(x: number, y: number, z: number) => number} getBlockState Returns
+ * the state of the block at chunk-local (x, y, z). Only called for fluids
+ * inside the chunk
+ * @param {(x: number, y: number, z: number) => number} getLight Returns the
+ * packed light value of the block at chunk-local (x, y, z). Called for the
+ * blocks in front of visible faces, which can be outside of the chunk
+ * @returns {{solid: MeshBuffers, transparent: MeshBuffers}}
+ */
+export function buildChunkMesh(size, getBlockId, getBlockState, getLight) {
+	const dims = [size.width, size.height, size.width];
+	const solid = createBuffers();
+	const transparent = createBuffers();
+
+	const pos = [0, 0, 0];
+	const neighbor = [0, 0, 0];
+
+	faces.forEach((face, faceIndex) => {
+		const { axis, sign } = face;
+		const u = (axis + 1) % 3;
+		const v = (axis + 2) % 3;
+		const mask = new Int32Array(dims[u] * dims[v]);
+		const lightMask = new Uint8Array(dims[u] * dims[v]);
+		const occlusionMask = new Uint8Array(dims[u] * dims[v]);
+
+		for (pos[axis] = 0; pos[axis] < dims[axis]; pos[axis]++) {
+			// 1. Build a mask of the visible faces in this slice
+			let n = 0;
+			for (pos[v] = 0; pos[v] < dims[v]; pos[v]++) {
+				for (pos[u] = 0; pos[u] < dims[u]; pos[u]++) {
+					const blockId = getBlockId(pos[0], pos[1], pos[2]);
+					mask[n] = blocks.empty.id;
+
+					if (blockId !== blocks.empty.id && !hasBoxes(blockId)) {
+						neighbor[0] = pos[0];
+						neighbor[1] = pos[1];
+						neighbor[2] = pos[2];
+						neighbor[axis] += sign;
+						const neighborId = getBlockId(
+							neighbor[0],
+							neighbor[1],
+							neighbor[2]
+						);
+						if (neighborId !== blockId && !isOpaque(neighborId)) {
+							mask[n] = blockId | (getFluidShape(blockId) << 16);
+							lightMask[n] = getLight(neighbor[0], neighbor[1], neighbor[2]);
+							occlusionMask[n] = isFluid(blockId)
+								? UNOCCLUDED
+								: getFaceOcclusion(u, v);
+						}
+					}
+					n++;
+				}
+			}
+
+			// 2. Greedily merge the faces in the mask into rectangles
+			n = 0;
+			for (let j = 0; j < dims[v]; j++) {
+				for (let i = 0; i < dims[u];) {
+					const key = mask[n];
+					const light = lightMask[n];
+					const occlusion = occlusionMask[n];
+					if (key === blocks.empty.id) {
+						i++;
+						n++;
+						continue;
+					}
+
+					// Grow the quad along u as far as possible
+					let w = 1;
+					const matches = (m) =>
+						mask[m] === key &&
+						lightMask[m] === light &&
+						occlusionMask[m] === occlusion &&
+						uniformOcclusion.has(occlusion);
+					while (i + w < dims[u] && matches(n + w)) w++;
+
+					// Then grow it along v while the whole row matches
+					let h = 1;
+					grow: while (j + h < dims[v] && uniformOcclusion.has(occlusion)) {
+						for (let k = 0; k < w; k++) {
+							if (!matches(n + k + h * dims[u])) break grow;
+						}
+						h++;
+					}
+
+					addQuad(
+						face,
+						faceIndex,
+						pos[axis],
+						i,
+						j,
+						w,
+						h,
+						key,
+						light,
+						occlusion
+					);
+
+					// Clear the merged faces so they aren't emitted again
+					for (let l = 0; l < h; l++) {
+						for (let k = 0; k < w; k++) {
+							mask[n + k + l * dims[u]] = blocks.empty.id;
+						}
+					}
+
+					i += w;
+					n += w;
+				}
+			}
+		}
+	});
+
+	// Blocks that aren't full cubes are left out of the greedy meshing
+	for (let y = 0; y < size.height; y++) {
+		for (let z = 0; z < size.width; z++) {
+			for (let x = 0; x < size.width; x++) {
+				const blockId = getBlockId(x, y, z);
+				if (hasBoxes(blockId)) addBoxes(x, y, z, blockId);
+			}
+		}
+	}
+
+	/**
+	 * Returns 0 for solid blocks. For fluids, returns 1 + the state that
+	 * decides the height of the fluid surface, so faces are only merged
+	 * with fluid of the same height
+	 */
+	function getFluidShape(blockId) {
+		if (!isFluid(blockId)) return 0;
+		const above = getBlockId(pos[0], pos[1] + 1, pos[2]);
+		return 1 + (isFluid(above) ? FLUID_FALLING : getBlockState(...pos));
+	}
+
+	/**
+	 * Returns the packed occlusion of the corners of the face in front of
+	 * the block at `neighbor`, which is the block in front of the face.
+	 * Each corner is darkened by the opaque blocks next to it in that
+	 * layer: the two blocks along the edges and the one diagonally across
+	 * @param {number} u
+	 * @param {number} v
+	 * @returns {number}
+	 */
+	function getFaceOcclusion(u, v) {
+		const at = [0, 0, 0];
+		const opaque = (du, dv) => {
+			at[0] = neighbor[0];
+			at[1] = neighbor[1];
+			at[2] = neighbor[2];
+			at[u] += du;
+			at[v] += dv;
+			return isOpaque(getBlockId(at[0], at[1], at[2])) ? 1 : 0;
+		};
+
+		let packed = 0;
+		cornerDirections.forEach(([du, dv], index) => {
+			const side1 = opaque(du, 0);
+			const side2 = opaque(0, dv);
+			// A corner between two opaque blocks is fully occluded whatever
+			// is diagonally across from it
+			const level = side1 && side2 ? 0 : 3 - (side1 + side2 + opaque(du, dv));
+			packed |= level << (index * 2);
+		});
+		return packed;
+	}
+
+	/**
+	 * Emits a quad for the faces with mask `key`, packed light value
+	 * `light` and packed corner occlusion `occlusion` covering cells (i, j)
+	 * to (i + w, j + h) of the slice at `depth` along the face axis
+	 */
+	function addQuad(face, faceIndex, depth, i, j, w, h, key, light, occlusion) {
+		const { axis, sign } = face;
+		const u = (axis + 1) % 3;
+		const v = (axis + 2) % 3;
+		const blockId = key & 0xffff;
+		const shape = key >>> 16;
+
+		// Fluid surfaces are lowered to the fluid height. Bottom faces stay put
+		const lower =
+			shape && (axis !== 1 || sign > 0) ? 1 - getFluidHeight(shape - 1) : 0;
+		const top = axis === 1 ? depth + 0.5 : (u === 1 ? i + w : j + h) - 0.5;
+
+		// The corners in counter-clockwise order as seen from the +axis side
+		const corners = [
+			[i, j],
+			[i + w, j],
+			[i + w, j + h],
+			[i, j + h],
+		].map(([cu, cv]) => {
+			const corner = [0, 0, 0];
+			corner[axis] = depth + 0.5 * sign;
+			corner[u] = cu - 0.5;
+			corner[v] = cv - 0.5;
+			if (corner[1] === top) corner[1] -= lower;
+			return corner;
+		});
+		// Visibility of each corner, from 0 when fully occluded to 3
+		const levels = cornerDirections.map(
+			(_, index) => (occlusion >> (index * 2)) & 3
+		);
+		if (sign < 0) {
+			corners.reverse();
+			levels.reverse();
+		}
+
+		emitQuad(face, faceIndex, blockId, corners, light, levels);
+	}
+
+	/**
+	 * Emits the faces of the `boxes` of the block at (x, y, z). Faces on
+	 * the outside of the block are hidden by opaque neighbors like those of
+	 * full blocks, and are lit by the block in front of them. Faces inside
+	 * the block are lit by the block itself. None of them are occluded
+	 */
+	function addBoxes(x, y, z, blockId) {
+		const origin = [x - 0.5, y - 0.5, z - 0.5];
+		for (const box of getBlockType(blockId).boxes) {
+			faces.forEach((face, faceIndex) => {
+				const { axis, sign } = face;
+				const u = (axis + 1) % 3;
+				const v = (axis + 2) % 3;
+
+				neighbor[0] = x;
+				neighbor[1] = y;
+				neighbor[2] = z;
+				const outside = sign > 0 ? box.max[axis] >= 1 : box.min[axis] <= 0;
+				if (outside) {
+					neighbor[axis] += sign;
+					if (isOpaque(getBlockId(neighbor[0], neighbor[1], neighbor[2]))) {
+						return;
+					}
+				}
+
+				const depth = sign > 0 ? box.max[axis] : box.min[axis];
+				const corners = [
+					[box.min[u], box.min[v]],
+					[box.max[u], box.min[v]],
+					[box.max[u], box.max[v]],
+					[box.min[u], box.max[v]],
+				].map(([cu, cv]) => {
+					const corner = [0, 0, 0];
+					corner[axis] = origin[axis] + depth;
+					corner[u] = origin[u] + cu;
+					corner[v] = origin[v] + cv;
+					return corner;
+				});
+				if (sign < 0) corners.reverse();
+
+				const light = getLight(neighbor[0], neighbor[1], neighbor[2]);
+				emitQuad(face, faceIndex, blockId, corners, light, [3, 3, 3, 3]);
+			});
+		}
+	}
+
+	/**
+	 * Adds a quad with the given corners to the solid or transparent
+	 * buffers. `levels` is the visibility of each corner, from 0 when fully
+	 * occluded to 3
+	 */
+	function emitQuad(face, faceIndex, blockId, corners, light, levels) {
+		const { axis, sign } = face;
+		const materialIndex = getMaterialIndex(blockId);
+		const {
+			positions,
+			normals,
+			uvs,
+			tiles,
+			lights,
+			occlusion: occlusions,
+			indicesByMaterial,
+		} = isFluid(blockId) || materialIndex === 1 ? transparent : solid;
+
+		const vertexStart = positions.length / 3;
+		const tile = getTileIndex(blockId, faceIndex);
+		const sunlight = lightCurve[getSunlight(light)];
+		const blockLight = lightCurve[getBlockLight(light)];
+		corners.forEach((corner, index) => {
+			positions.push(corner[0], corner[1], corner[2]);
+
+			const normal = [0, 0, 0];
+			normal[axis] = sign;
+			normals.push(...normal);
+
+			// Offset by half a block so texture edges line up with block edges
+			uvs.push(...face.uv(corner[0] + 0.5, corner[1] + 0.5, corner[2] + 0.5));
+			tiles.push(tile);
+			lights.push(sunlight, blockLight);
+			occlusions.push(1 - levels[index] / 3);
+		});
+
+		if (!indicesByMaterial.has(materialIndex)) {
+			indicesByMaterial.set(materialIndex, []);
+		}
+		// Split along the diagonal between the brighter pair of corners, or
+		// the occlusion is interpolated unevenly across the two triangles
+		const flip = levels[0] + levels[2] < levels[1] + levels[3] ? 1 : 0;
+		const quad = [0, 1, 2, 0, 2, 3].map(
+			(index) => vertexStart + ((index + flip) % 4)
+		);
+		indicesByMaterial.get(materialIndex).push(...quad);
+	}
+
+	return {
+		solid: finishBuffers(solid),
+		transparent: finishBuffers(transparent),
+	};
+}
+
+function createBuffers() {
+	return {
+		positions: [],
+		normals: [],
+		uvs: [],
+		tiles: [],
+		lights: [],
+		occlusion: [],
+		// Quad indices grouped by the material they are drawn with
+		indicesByMaterial: new Map(),
+	};
+}
+
+/**
+ * @returns {MeshBuffers}
+ */
+function finishBuffers({
+	positions,
+	normals,
+	uvs,
+	tiles,
+	lights,
+	occlusion,
+	indicesByMaterial,
+}) {
+	// Lay out the indices so each material occupies a contiguous range
+	const indices = [];
+	const groups = [];
+	const materialIndices = [...indicesByMaterial.keys()].sort((a, b) => a - b);
+	for (const materialIndex of materialIndices) {
+		const materialQuads = indicesByMaterial.get(materialIndex);
+		groups.push({
+			start: indices.length,
+			count: materialQuads.length,
+			materialIndex,
+		});
+		for (const index of materialQuads) indices.push(index);
+	}
+
+	return {
+		positions: new Float32Array(positions),
+		normals: new Float32Array(normals),
+		uvs: new Float32Array(uvs),
+		tiles: new Float32Array(tiles),
+		lights: new Float32Array(lights),
+		occlusion: new Float32Array(occlusion),
+		indices: new Uint32Array(indices),
+		groups,
+	};
+}
@@ -0,0 +1,23 @@
+import { ChunkGenerator } from "./chunkGenerator.js";
+
+/**
+ * Generates the voxel data for a chunk section off the main thread
+ * @param {MessageEvent<{
+ *  size: {width: number, height: number},
+ *  params: object,
+ *  position: {x: number, y: number, z: number},
+ *  biomes: import("./biomes.js").Biome[],
+ *  changes: {x: number, y: number, z: number, blockId: number}[]
+ * }>} event
+ */
+self.onmessage = (event) => {
+	const { size, params, position, biomes, changes } = event.data;
+	const data = new ChunkGenerator(size, params, position, biomes).generate(
+		changes
+	);
+
+	self.postMessage(
+		{ ids: data.ids, states: data.states },
+		data.getTransferables()
+	);
+};
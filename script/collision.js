@@ -0,0 +1,218 @@
+import { getCollisionBoxes } from "./blocks.js";
+
+/**
+ * @typedef {{min: number[], max: number[]}} Box
+ * An axis-aligned box in world coordinates, as [x, y, z]
+ */
+
+/**
+ * @typedef {{
+ *  movement: number[],
+ *  collided: boolean[],
+ *  onGround: boolean
+ * }} MoveResult
+ * - `movement` is how far the box actually moved along each axis
+ * - `collided` is true for each axis the box was stopped along
+ * - `onGround` is true if the box ended up standing on something
+ */
+
+/**
+ * Boxes touching within this distance count as touching rather than
+ * overlapping, so rounding errors can't snag the player on the seams
+ * between blocks
+ */
+const EPSILON = 1e-7;
+
+/**
+ * Order the axes are moved along: vertically first, so the player lands
+ * on the floor before sliding along it
+ */
+const AXIS_ORDER = [1, 0, 2];
+
+/**
+ * @param {Box} box
+ * @returns {Box}
+ */
+function copyBox(box) {
+	return { min: [...box.min], max: [...box.max] };
+}
+
+/**
+ * Returns `box` moved by `distance` along `axis`
+ * @param {Box} box
+ * @param {number} axis
+ * @param {number} distance
+ * @returns {Box}
+ */
+function offsetBox(box, axis, distance) {
+	const moved = copyBox(box);
+	moved.min[axis] += distance;
+	moved.max[axis] += distance;
+	return moved;
+}
+
+/**
+ * Returns true if boxes `a` and `b` overlap by more than just touching
+ * @param {Box} a
+ * @param {Box} b
+ * @returns {boolean}
+ */
+export function boxesOverlap(a, b) {
+	return [0, 1, 2].every(
+		(axis) =>
+			a.min[axis] < b.max[axis] - EPSILON && a.max[axis] > b.min[axis] + EPSILON
+	);
+}
+
+/**
+ * Returns the collision boxes of the solid blocks that a box could hit
+ * while moving by up to `reach` along each axis, in either direction.
+ * Blocks are centered on integer coordinates, and are looked up one block
+ * further down since colliders like fences stick out of their top
+ * @param {Box} box
+ * @param {number[]} reach
+ * @param {(x: number, y: number, z: number) => number} getBlockId
+ * @returns {Box[]}
+ */
+export function getColliders(box, reach, getBlockId) {
+	const min = box.min.map((value, axis) => Math.round(value - reach[axis]));
+	const max = box.max.map((value, axis) => Math.round(value + reach[axis]));
+	min[1] -= 1;
+
+	const colliders = [];
+	for (let x = min[0]; x <= max[0]; x++) {
+		for (let y = min[1]; y <= max[1]; y++) {
+			for (let z = min[2]; z <= max[2]; z++) {
+				colliders.push(...getBlockColliders(x, y, z, getBlockId(x, y, z)));
+			}
+		}
+	}
+	return colliders;
+}
+
+/**
+ * Returns the collision boxes of a block of type `blockId` at world
+ * (x, y, z)
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @param {number} blockId
+ * @returns {Box[]}
+ */
+export function getBlockColliders(x, y, z, blockId) {
+	const origin = [x - 0.5, y - 0.5, z - 0.5];
+	return getCollisionBoxes(blockId).map(({ min, max }) => ({
+		min: min.map((value, axis) => origin[axis] + value),
+		max: max.map((value, axis) => origin[axis] + value),
+	}));
+}
+
+/**
+ * Returns how far `box` can move along `axis`, up to `distance`, before it
+ * hits one of the `colliders`. Colliders the box already overlaps are
+ * ignored so it can always move out of them
+ * @param {Box} box
+ * @param {number} axis
+ * @param {number} distance
+ * @param {Box[]} colliders
+ * @returns {number}
+ */
+export function sweepAxis(box, axis, distance, colliders) {
+	if (distance === 0) return 0;
+	const u = (axis + 1) % 3;
+	const v = (axis + 2) % 3;
+
+	for (const collider of colliders) {
+		// Only colliders in the path of the box along the axis can be hit
+		if (
+			collider.max[u] <= box.min[u] + EPSILON ||
+			collider.min[u] >= box.max[u] - EPSILON ||
+			collider.max[v] <= box.min[v] + EPSILON ||
+			collider.min[v] >= box.max[v] - EPSILON
+		) {
+			continue;
+		}
+
+		if (distance > 0 && collider.min[axis] >= box.max[axis] - EPSILON) {
+			distance = Math.min(
+				distance,
+				Math.max(0, collider.min[axis] - box.max[axis])
+			);
+		} else if (distance < 0 && collider.max[axis] <= box.min[axis] + EPSILON) {
+			distance = Math.max(
+				distance,
+				Math.min(0, collider.max[axis] - box.min[axis])
+			);
+		}
+	}
+	return distance;
+}
+
+/**
+ * Moves `box` by `movement` one axis at a time, stopping along each axis
+ * where it hits a collider
+ * @param {Box} box
+ * @param {number[]} movement
+ * @param {Box[]} colliders
+ * @returns {{box: Box, movement: number[]}}
+ */
+function slide(box, movement, colliders) {
+	let moved = box;
+	const actual = [0, 0, 0];
+	for (const axis of AXIS_ORDER) {
+		actual[axis] = sweepAxis(moved, axis, movement[axis], colliders);
+		moved = offsetBox(moved, axis, actual[axis]);
+	}
+	return { box: moved, movement: actual };
+}
+
+/**
+ * Moves `box` by `movement` through the world, sliding along the solid
+ * blocks it hits instead of passing through them however fast it moves.
+ * A box on the ground that walks into something no taller than
+ * `stepHeight` climbs on top of it
+ * @param {Box} box
+ * @param {number[]} movement
+ * @param {(x: number, y: number, z: number) => number} getBlockId Returns
+ * the id of the block at world (x, y, z)
+ * @param {{stepHeight?: number, onGround?: boolean}} [options] `onGround`
+ * is whether the box was standing on something before moving
+ * @returns {MoveResult}
+ */
+export function moveBox(box, movement, getBlockId, options = {}) {
+	const { stepHeight = 0, onGround = false } = options;
+	const reach = movement.map(Math.abs);
+	reach[1] += stepHeight;
+	const colliders = getColliders(box, reach, getBlockId);
+
+	const result = slide(box, movement, colliders);
+	const collided = result.movement.map((distance, axis) => {
+		return distance !== movement[axis];
+	});
+	const landed = movement[1] < 0 && collided[1];
+
+	if (stepHeight > 0 && (onGround || landed) && (collided[0] || collided[2])) {
+		// Try the move again from higher up, then drop back down onto
+		// whatever was stepped onto
+		const up = sweepAxis(box, 1, stepHeight, colliders);
+		const stepped = slide(
+			offsetBox(box, 1, up),
+			[movement[0], 0, movement[2]],
+			colliders
+		);
+		const down = sweepAxis(stepped.box, 1, -up, colliders);
+
+		const [x, , z] = stepped.movement;
+		const [baseX, , baseZ] = result.movement;
+		if (x * x + z * z > baseX * baseX + baseZ * baseZ) {
+			const standing = down !== -up;
+			return {
+				movement: [x, up + down, z],
+				collided: [x !== movement[0], standing, z !== movement[2]],
+				onGround: standing,
+			};
+		}
+	}
+
+	return { movement: result.movement, collided, onGround: landed };
+}
@@ -0,0 +1,197 @@
+import { blocks } from "./blocks.js";
+import { tools } from "./tools.js";
+
+/**
+ * @typedef {{
+ *  type: "shaped",
+ *  pattern: string[],
+ *  key: {[symbol: string]: string},
+ *  result: {item: string, count?: number}
+ * } | {
+ *  type: "shapeless",
+ *  ingredients: string[],
+ *  result: {item: string, count?: number}
+ * }} RecipeDefinition
+ * Recipes as they are written in `recipes.json`, naming items by their
+ * block or tool name
+ * - Shaped recipes lay out their ingredients in `pattern`, one string per
+ *   row, where each character is looked up in `key` and a space is an
+ *   empty cell. The pattern can go anywhere in the grid, and can also be
+ *   mirrored left to right
+ * - Shapeless recipes need exactly their `ingredients`, in any cells
+ */
+
+/**
+ * @typedef {{
+ *  shaped: boolean,
+ *  width: number,
+ *  height: number,
+ *  ingredients: number[],
+ *  result: import("./inventory").ItemStack
+ * }} Recipe
+ * A recipe with its items resolved to item ids. Shaped recipes have one
+ * ingredient per cell of their `width` by `height` pattern, where empty
+ * cells are the empty block. Shapeless recipes have their ingredients
+ * sorted by id
+ */
+
+/**
+ * Returns the item id of the block or tool called `name`
+ * @param {string} name
+ * @returns {number}
+ */
+export function getItemId(name) {
+	const item = blocks[name] ?? tools[name];
+	if (!item) {
+		throw new Error(`Unknown item "${name}" in recipe`);
+	}
+	return item.id;
+}
+
+/**
+ * Resolves the item names of a recipe definition
+ * @param {RecipeDefinition} definition
+ * @returns {Recipe}
+ */
+function parseRecipe(definition) {
+	const result = {
+		id: getItemId(definition.result.item),
+		count: definition.result.count ?? 1,
+	};
+
+	if (definition.type === "shapeless") {
+		return {
+			shaped: false,
+			width: 0,
+			height: 0,
+			ingredients: definition.ingredients.map(getItemId).sort((a, b) => a - b),
+			result,
+		};
+	}
+
+	const { pattern, key } = definition;
+	const width = Math.max(...pattern.map((row) => row.length));
+	const ingredients = [];
+	for (const row of pattern) {
+		for (let x = 0; x < width; x++) {
+			const symbol = row[x] ?? " ";
+			if (symbol === " ") {
+				ingredients.push(blocks.empty.id);
+			} else if (key[symbol] !== undefined) {
+				ingredients.push(getItemId(key[symbol]));
+			} else {
+				throw new Error(`Symbol "${symbol}" is missing from the recipe key`);
+			}
+		}
+	}
+	return { shaped: true, width, height: pattern.length, ingredients, result };
+}
+
+/**
+ * Returns the smallest rectangle of the crafting grid that contains every
+ * non-empty cell, as a list of item ids by row
+ * @param {number[]} grid Item ids of a `size` by `size` grid, by row
+ * @param {number} size
+ * @returns {{width: number, height: number, cells: number[]}}
+ */
+function trimGrid(grid, size) {
+	let minX = size;
+	let minY = size;
+	let maxX = -1;
+	let maxY = -1;
+	for (let y = 0; y < size; y++) {
+		for (let x = 0; x < size; x++) {
+			if (grid[y * size + x] === blocks.empty.id) continue;
+			minX = Math.min(minX, x);
+			minY = Math.min(minY, y);
+			maxX = Math.max(maxX, x);
+			maxY = Math.max(maxY, y);
+		}
+	}
+
+	const cells = [];
+	for (let y = minY; y <= maxY; y++) {
+		for (let x = minX; x <= maxX; x++) {
+			cells.push(grid[y * size + x]);
+		}
+	}
+	return { width: maxX - minX + 1, height: maxY - minY + 1, cells };
+}
+
+/**
+ * Returns true if the shaped `recipe` matches the trimmed grid, either
+ * as it is or mirrored left to right
+ * @param {Recipe} recipe
+ * @param {{width: number, height: number, cells: number[]}} trimmed
+ * @returns {boolean}
+ */
+function matchesShape(recipe, { width, height, cells }) {
+	if (recipe.width !== width || recipe.height !== height) return false;
+
+	let matches = true;
+	let mirrored = true;
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const cell = cells[y * width + x];
+			matches &&= recipe.ingredients[y * width + x] === cell;
+			mirrored &&= recipe.ingredients[y * width + (width - 1 - x)] === cell;
+		}
+	}
+	return matches || mirrored;
+}
+
+/**
+ * The recipes that can be crafted, and the lookup of which recipe the
+ * items in a crafting grid make. Has no DOM dependencies so recipes can be
+ * tested outside of the browser
+ */
+export class RecipeBook {
+	/**
+	 * @type {Recipe[]}
+	 */
+	recipes = [];
+
+	/**
+	 * @param {RecipeDefinition[]} definitions
+	 */
+	constructor(definitions = []) {
+		definitions.forEach((definition) => this.add(definition));
+	}
+
+	/**
+	 * Adds a recipe. Throws if it uses an item that isn't registered
+	 * @param {RecipeDefinition} definition
+	 */
+	add(definition) {
+		this.recipes.push(parseRecipe(definition));
+	}
+
+	/**
+	 * Returns the recipe made by the items in a crafting grid, or null if
+	 * they don't make anything
+	 * @param {number[]} grid Item ids of a `size` by `size` grid, by row,
+	 * with the empty block for empty cells
+	 * @param {number} size
+	 * @returns {Recipe | null}
+	 */
+	find(grid, size) {
+		const trimmed = trimGrid(grid, size);
+		if (trimmed.cells.length === 0) return null;
+
+		const items = trimmed.cells
+			.filter((id) => id !== blocks.empty.id)
+			.sort((a, b) => a - b);
+
+		for (const recipe of this.recipes) {
+			if (recipe.shaped) {
+				if (matchesShape(recipe, trimmed)) return recipe;
+			} else if (
+				recipe.ingredients.length === items.length &&
+				recipe.ingredients.every((id, i) => id === items[i])
+			) {
+				return recipe;
+			}
+		}
+		return null;
+	}
+}
@@ -1,29 +1,143 @@
+/**
+ * Keeps track of the blocks the player has changed, organised by chunk
+ * so a chunk can fetch all of its changes at once.
+ *
+ * Chunks are identified by their chunk coordinates, including the index of
+ * the vertical section, and blocks by their coordinates relative to the
+ * chunk. Block x and z must be below 256.
+ */
 export class DataStore {
-	constructor() {
-		this.data = {};
-	}
+	/**
+	 * Block changes keyed by chunk, then by packed block coordinates
+	 * @type {Map<string, Map<number, number>>}
+	 */
+	chunks = new Map();
 
 	clear() {
-		this.data = {};
+		this.chunks.clear();
+	}
+
+	contains(chunkX, chunkY, chunkZ, blockX, blockY, blockZ) {
+		const changes = this.chunks.get(this.getChunkKey(chunkX, chunkY, chunkZ));
+		return (
+			changes !== undefined &&
+			changes.has(this.getBlockKey(blockX, blockY, blockZ))
+		);
+	}
+
+	get(chunkX, chunkY, chunkZ, blockX, blockY, blockZ) {
+		const changes = this.chunks.get(this.getChunkKey(chunkX, chunkY, chunkZ));
+		return changes?.get(this.getBlockKey(blockX, blockY, blockZ));
+	}
+
+	set(chunkX, chunkY, chunkZ, blockX, blockY, blockZ, blockId) {
+		const chunkKey = this.getChunkKey(chunkX, chunkY, chunkZ);
+		let changes = this.chunks.get(chunkKey);
+		if (!changes) {
+			changes = new Map();
+			this.chunks.set(chunkKey, changes);
+		}
+		changes.set(this.getBlockKey(blockX, blockY, blockZ), blockId);
+	}
+
+	/**
+	 * Returns all of the changes made to the chunk at (chunkX, chunkY, chunkZ)
+	 * @param {number} chunkX
+	 * @param {number} chunkY
+	 * @param {number} chunkZ
+	 * @returns {{x: number, y: number, z: number, blockId: number}[]}
+	 */
+	getChunkChanges(chunkX, chunkY, chunkZ) {
+		const changes = this.chunks.get(this.getChunkKey(chunkX, chunkY, chunkZ));
+		if (!changes) return [];
+
+		return Array.from(changes, ([blockKey, blockId]) => ({
+			...this.parseBlockKey(blockKey),
+			blockId,
+		}));
+	}
+
+	/**
+	 * Returns the coordinates of every chunk that has changes
+	 * @returns {{x: number, y: number, z: number}[]}
+	 */
+	getModifiedChunks() {
+		return Array.from(this.chunks.keys(), (chunkKey) => {
+			const [x, y, z] = chunkKey.split(",").map(Number);
+			return { x, y, z };
+		});
+	}
+
+	/**
+	 * Drops all of the changes made to the chunk at (chunkX, chunkY, chunkZ),
+	 * resetting it to its generated state
+	 * @param {number} chunkX
+	 * @param {number} chunkY
+	 * @param {number} chunkZ
+	 */
+	clearChunk(chunkX, chunkY, chunkZ) {
+		this.chunks.delete(this.getChunkKey(chunkX, chunkY, chunkZ));
+	}
+
+	/**
+	 * The total number of changed blocks
+	 * @type {number}
+	 */
+	get size() {
+		let size = 0;
+		for (const changes of this.chunks.values()) {
+			size += changes.size;
+		}
+		return size;
+	}
+
+	/**
+	 * Returns the changes as a plain object that can be passed to
+	 * `JSON.stringify()`
+	 * @returns {{[chunkKey: string]: number[][]}}
+	 */
+	toJSON() {
+		const json = {};
+		for (const [chunkKey, changes] of this.chunks) {
+			json[chunkKey] = Array.from(changes, ([blockKey, blockId]) => {
+				const { x, y, z } = this.parseBlockKey(blockKey);
+				return [x, y, z, blockId];
+			});
+		}
+		return json;
 	}
 
-	contains(chunkX, chunkZ, blockX, blockY, blockZ) {
-		const key = this.getKey(chunkX, chunkZ, blockX, blockY, blockZ);
-		return this.data[key] !== undefined;
+	/**
+	 * Replaces the current changes with ones previously returned by `toJSON()`
+	 * @param {{[chunkKey: string]: number[][]}} json
+	 */
+	fromJSON(json) {
+		this.clear();
+		for (const [chunkKey, changes] of Object.entries(json)) {
+			const [chunkX, chunkY, chunkZ] = chunkKey.split(",").map(Number);
+			for (const [x, y, z, blockId] of changes) {
+				this.set(chunkX, chunkY, chunkZ, x, y, z, blockId);
+			}
+		}
 	}
 
-	get(chunkX, chunkZ, blockX, blockY, blockZ) {
-		const key = this.getKey(chunkX, chunkZ, blockX, blockY, blockZ);
-		const blockId = this.data[key];
-		return blockId;
+	getChunkKey(chunkX, chunkY, chunkZ) {
+		return `${chunkX},${chunkY},${chunkZ}`;
 	}
 
-	set(chunkX, chunkZ, blockX, blockY, blockZ, blockId) {
-		const key = this.getKey(chunkX, chunkZ, blockX, blockY, blockZ);
-		this.data[key] = blockId;
+	getBlockKey(blockX, blockY, blockZ) {
+		return (blockY << 16) | (blockZ << 8) | blockX;
 	}
 
-	getKey(chunkX, chunkZ, blockX, blockY, blockZ) {
-		return `${chunkX}-${chunkZ}-${blockX}-${blockY}-${blockZ}`;
+	/**
+	 * @param {number} blockKey
+	 * @returns {{x: number, y: number, z: number}}
+	 */
+	parseBlockKey(blockKey) {
+		return {
+			x: blockKey & 0xff,
+			y: blockKey >>> 16,
+			z: (blockKey >>> 8) & 0xff,
+		};
 	}
 }
@@ -0,0 +1,219 @@
+import * as THREE from "three";
+import { chunkMaterials } from "./blockMaterials";
+
+/**
+ * Sky colours at the different times of day
+ */
+const DAY_SKY = new THREE.Color(0x80a0e0);
+const NIGHT_SKY = new THREE.Color(0x0a0f1e);
+const SUNSET_SKY = new THREE.Color(0xe0885a);
+
+const SUN_COLOR = new THREE.Color(0xffffff);
+const SUNSET_COLOR = new THREE.Color(0xffb070);
+const MOON_COLOR = new THREE.Color(0x8090c0);
+
+/**
+ * How far the light that casts shadows is from the player. The shadow
+ * camera has to reach past the player by about as much again
+ */
+const LIGHT_DISTANCE = 60;
+/**
+ * How far the sun and moon are drawn from the camera, which has to be
+ * inside the far plane of the player's camera
+ */
+const SKY_DISTANCE = 150;
+/**
+ * Time of day that new worlds start at, in hours
+ */
+const MORNING = 8;
+
+/**
+ * @param {number} edge0
+ * @param {number} edge1
+ * @param {number} x
+ * @returns {number}
+ */
+function smoothstep(edge0, edge1, x) {
+	const t = THREE.MathUtils.clamp((x - edge0) / (edge1 - edge0), 0, 1);
+	return t * t * (3 - 2 * t);
+}
+
+/**
+ * Creates the square of the sun or the moon in the sky
+ * @param {number} size
+ * @param {number} color
+ * @returns {THREE.Mesh}
+ */
+function createSkyBody(size, color) {
+	const mesh = new THREE.Mesh(
+		new THREE.PlaneGeometry(size, size),
+		new THREE.MeshBasicMaterial({ color, fog: false })
+	);
+	// Behind the world, but not hidden by it from far away
+	mesh.renderOrder = -1;
+	mesh.material.depthWrite = false;
+	return mesh;
+}
+
+/**
+ * The time of day and everything it lights: the sun and moon moving
+ * across the sky, the sky, fog and ambient colours and the directional
+ * light that casts shadows. The light follows whichever of the sun and
+ * moon is up, so there is only ever one shadow map
+ */
+export class DayNightCycle extends THREE.Group {
+	/**
+	 * Time of day in hours, from 0 to 24. Noon is 12
+	 */
+	time = MORNING;
+	/**
+	 * How long a full day lasts, in seconds
+	 */
+	dayLength = 600;
+	/**
+	 * How many times faster than normal time passes
+	 */
+	speed = 1;
+	/**
+	 * Whether time is stopped
+	 */
+	paused = false;
+
+	/**
+	 * How bright the daylight is, from 0 at night to 1 during the day
+	 */
+	daylight = 1;
+
+	light = new THREE.DirectionalLight();
+	ambient = new THREE.AmbientLight();
+	sun = createSkyBody(20, 0xfff2a0);
+	moon = createSkyBody(12, 0xe8ecf8);
+
+	/**
+	 * @param {THREE.Scene} scene Has its fog and background colour set to
+	 * the colour of the sky
+	 */
+	constructor(scene) {
+		super();
+		this.scene = scene;
+		scene.background = new THREE.Color();
+
+		this.light.castShadow = true;
+		this.light.shadow.camera.left = -50;
+		this.light.shadow.camera.right = 50;
+		this.light.shadow.camera.bottom = -50;
+		this.light.shadow.camera.top = 50;
+		this.light.shadow.camera.near = 0.1;
+		this.light.shadow.camera.far = 2 * LIGHT_DISTANCE;
+		this.light.shadow.bias = -0.0005;
+		this.light.shadow.mapSize = new THREE.Vector2(1024, 1024);
+
+		this.add(this.light, this.light.target, this.ambient, this.sun, this.moon);
+		this.apply(new THREE.Vector3());
+	}
+
+	/**
+	 * Direction from the player to the sun. It rises in the east (+x) at
+	 * 6:00 and sets in the west at 18:00, tilted slightly to the south
+	 * @param {THREE.Vector3} [target]
+	 * @returns {THREE.Vector3}
+	 */
+	getSunDirection(target = new THREE.Vector3()) {
+		const angle = ((this.time - 6) / 24) * Math.PI * 2;
+		return target.set(Math.cos(angle), Math.sin(angle), 0.3).normalize();
+	}
+
+	/**
+	 * Moves time forward by `dt` seconds and updates the sky around the
+	 * player
+	 * @param {number} dt
+	 * @param {THREE.Vector3} position The player's position
+	 */
+	update(dt, position) {
+		if (!this.paused) {
+			this.time += (dt * this.speed * 24) / this.dayLength;
+			this.time = ((this.time % 24) + 24) % 24;
+		}
+		this.apply(position);
+	}
+
+	/**
+	 * Places the sun, moon and light for the current time and sets the
+	 * colours of the sky, fog and lights
+	 * @param {THREE.Vector3} position The player's position
+	 */
+	apply(position) {
+		const sunDirection = this.getSunDirection();
+		const elevation = sunDirection.y;
+
+		// Fades in and out over the twilight either side of sunrise and
+		// sunset, and peaks at the horizon for the sunset colours
+		this.daylight = smoothstep(-0.15, 0.15, elevation);
+		const sunset = 1 - smoothstep(0, 0.3, Math.abs(elevation));
+
+		const sky = NIGHT_SKY.clone().lerp(DAY_SKY, this.daylight);
+		sky.lerp(SUNSET_SKY, sunset * 0.6);
+		this.scene.background.copy(sky);
+		this.scene.fog?.color.copy(sky);
+
+		// The light comes from the sun while it is up, and otherwise from
+		// the moon on the opposite side of the sky
+		const sunUp = elevation > 0;
+		const lightDirection = sunUp ? sunDirection : sunDirection.clone().negate();
+		this.light.position
+			.copy(position)
+			.addScaledVector(lightDirection, LIGHT_DISTANCE);
+		this.light.target.position.copy(position);
+		this.light.target.updateMatrixWorld();
+		// Both fade to nothing at the horizon so the switch can't be seen
+		const height = smoothstep(0, 0.15, Math.abs(elevation));
+		if (sunUp) {
+			this.light.color.copy(SUN_COLOR).lerp(SUNSET_COLOR, sunset);
+			this.light.intensity = 3 * height;
+		} else {
+			this.light.color.copy(MOON_COLOR);
+			this.light.intensity = 0.4 * height;
+		}
+		this.light.castShadow = this.light.intensity > 0.05;
+
+		this.ambient.color.copy(sky).lerp(SUN_COLOR, 0.5);
+		this.ambient.intensity = THREE.MathUtils.lerp(0.05, 0.1, this.daylight);
+
+		// Unlit blocks like clouds are shaded by hand
+		const shade = THREE.MathUtils.lerp(0.15, 1, this.daylight);
+		chunkMaterials[2].color.setScalar(shade);
+
+		this.placeSkyBody(this.sun, position, sunDirection);
+		this.placeSkyBody(this.moon, position, sunDirection.negate());
+	}
+
+	/**
+	 * Puts the sun or moon far away in `direction`, facing the player
+	 * @param {THREE.Mesh} body
+	 * @param {THREE.Vector3} position
+	 * @param {THREE.Vector3} direction
+	 */
+	placeSkyBody(body, position, direction) {
+		body.position.copy(position).addScaledVector(direction, SKY_DISTANCE);
+		body.lookAt(position);
+		body.visible = direction.y > -0.2;
+	}
+
+	/**
+	 * Returns the time of day in a form that can be saved
+	 * @returns {{time: number}}
+	 */
+	getState() {
+		return { time: this.time };
+	}
+
+	/**
+	 * Restores the time of day from `getState()`. Worlds without one, like
+	 * new worlds and worlds saved before the time was, start in the morning
+	 * @param {{time?: number} | null} state
+	 */
+	setState(state) {
+		this.time = state?.time ?? MORNING;
+		this.apply(this.light.target.position);
+	}
+}
@@ -0,0 +1,205 @@
+import { blocks, isFluid } from "./blocks.js";
+
+/**
+ * Fluid blocks keep their level in the block state. A level of 0 is a
+ * source, which never drains away. Flowing fluid goes from level 1 next to
+ * its source up to MAX_FLUID_LEVEL, getting shallower the further it flows
+ */
+export const MAX_FLUID_LEVEL = 7;
+
+/**
+ * Block state of fluid that is falling from the block above. Falling fluid
+ * fills the whole block and spreads out like a source when it lands
+ */
+export const FLUID_FALLING = 8;
+
+/**
+ * Returns the height of the surface of a fluid block with `state`, as a
+ * fraction of a full block
+ * @param {number} state
+ * @returns {number}
+ */
+export function getFluidHeight(state) {
+	if (state === FLUID_FALLING) return 1;
+	return (MAX_FLUID_LEVEL + 1 - state) / (MAX_FLUID_LEVEL + 2);
+}
+
+/**
+ * Returns true if `block` is the source of a fluid
+ * @param {{id: number, state: number}} block
+ * @returns {boolean}
+ */
+export function isFluidSource(block) {
+	return isFluid(block.id) && block.state === 0;
+}
+
+const sides = [
+	[1, 0],
+	[-1, 0],
+	[0, 1],
+	[0, -1],
+];
+
+/**
+ * Makes fluids flow through the world. Only blocks that have been scheduled
+ * are updated, so a still world costs nothing. Updates run in fixed ticks
+ * and at most `maxUpdatesPerFrame` blocks are updated per frame; the rest
+ * carry over to the next frame so big floods don't cause frame drops.
+ *
+ * The world only needs `getBlock(x, y, z)` and `setBlock(x, y, z, id, state)`
+ */
+export class FluidSimulator {
+	/**
+	 * Seconds between fluid ticks
+	 */
+	tickInterval = 0.25;
+	/**
+	 * The most blocks that are updated in a single frame
+	 */
+	maxUpdatesPerFrame = 256;
+	/**
+	 * Blocks being updated in the current tick
+	 * @type {Map<string, number[]>}
+	 */
+	#current = new Map();
+	/**
+	 * Blocks to update in the next tick
+	 * @type {Map<string, number[]>}
+	 */
+	#next = new Map();
+	#elapsed = 0;
+
+	/**
+	 * @param {World} world
+	 */
+	constructor(world) {
+		this.world = world;
+	}
+
+	/**
+	 * The number of blocks waiting to be updated
+	 * @type {number}
+	 */
+	get pending() {
+		return this.#current.size + this.#next.size;
+	}
+
+	/**
+	 * Schedules the block at (x, y, z) to be updated on the next tick
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 */
+	schedule(x, y, z) {
+		this.#next.set(`${x},${y},${z}`, [x, y, z]);
+	}
+
+	/**
+	 * Schedules the block at (x, y, z) and its six neighbors. Call this
+	 * whenever a block changes so fluid can flow into or drain out of it
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 */
+	scheduleAround(x, y, z) {
+		this.schedule(x, y, z);
+		this.schedule(x, y + 1, z);
+		this.schedule(x, y - 1, z);
+		for (const [dx, dz] of sides) {
+			this.schedule(x + dx, y, z + dz);
+		}
+	}
+
+	/**
+	 * Drops all of the scheduled updates
+	 */
+	clear() {
+		this.#current.clear();
+		this.#next.clear();
+		this.#elapsed = 0;
+	}
+
+	/**
+	 * Moves the simulation forward by `dt` seconds
+	 * @param {number} dt
+	 */
+	update(dt) {
+		this.#elapsed += dt;
+		if (this.#current.size === 0) {
+			if (this.#next.size === 0 || this.#elapsed < this.tickInterval) return;
+			this.#elapsed = 0;
+			[this.#current, this.#next] = [this.#next, this.#current];
+		}
+
+		let budget = this.maxUpdatesPerFrame;
+		for (const [key, [x, y, z]] of this.#current) {
+			if (budget-- === 0) break;
+			this.#current.delete(key);
+			this.updateBlock(x, y, z);
+		}
+	}
+
+	/**
+	 * Works out what the fluid at (x, y, z) should be from its neighbors and
+	 * updates the block if it changed. Only empty blocks and flowing fluid
+	 * are affected
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 */
+	updateBlock(x, y, z) {
+		const block = this.world.getBlock(x, y, z);
+		if (!block) return;
+		if (block.id !== blocks.empty.id && !isFluid(block.id)) return;
+		if (isFluidSource(block)) return;
+
+		const flow = this.getFlow(x, y, z) ?? { id: blocks.empty.id, state: 0 };
+		if (flow.id !== block.id || flow.state !== block.state) {
+			this.world.setBlock(x, y, z, flow.id, flow.state);
+			this.scheduleAround(x, y, z);
+		}
+	}
+
+	/**
+	 * Returns the fluid that flows into (x, y, z), or null if none does.
+	 * Fluid falls straight down into the block below it, and spreads
+	 * sideways one level shallower when it is resting on something
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @returns {{id: number, state: number} | null}
+	 */
+	getFlow(x, y, z) {
+		const above = this.world.getBlock(x, y + 1, z);
+		if (above && isFluid(above.id)) {
+			return { id: above.id, state: FLUID_FALLING };
+		}
+
+		let flow = null;
+		for (const [dx, dz] of sides) {
+			const neighbor = this.world.getBlock(x + dx, y, z + dz);
+			if (!neighbor || !isFluid(neighbor.id)) continue;
+			if (!this.canSpread(x + dx, y, z + dz)) continue;
+
+			const level = (neighbor.state === FLUID_FALLING ? 0 : neighbor.state) + 1;
+			if (level <= MAX_FLUID_LEVEL && (!flow || level < flow.state)) {
+				flow = { id: neighbor.id, state: level };
+			}
+		}
+		return flow;
+	}
+
+	/**
+	 * Fluid at (x, y, z) can only spread sideways if it can't fall, i.e.
+	 * it rests on a solid block or on a fluid source
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @returns {boolean}
+	 */
+	canSpread(x, y, z) {
+		const below = this.world.getBlock(x, y - 1, z);
+		if (!below || below.id === blocks.empty.id) return false;
+		return !isFluid(below.id) || below.state === 0;
+	}
+}
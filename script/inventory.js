@@ -0,0 +1,179 @@
+import { blocks, getBlockType } from "./blocks.js";
+import { isTool } from "./tools.js";
+
+/**
+ * @typedef {{id: number, count: number}} ItemStack
+ * `count` items of the item `id`, which is a block id or a tool id
+ */
+
+/**
+ * The most blocks that fit in one slot
+ */
+export const MAX_STACK_SIZE = 64;
+
+/**
+ * Returns the most items of the item `id` that fit in one slot. Tools
+ * don't stack
+ * @param {number} id
+ * @returns {number}
+ */
+export function getMaxStackSize(id) {
+	return isTool(id) ? 1 : MAX_STACK_SIZE;
+}
+
+/**
+ * Number of slots in the hotbar, which are the first slots of the inventory
+ */
+export const HOTBAR_SIZE = 9;
+
+/**
+ * The items the player is carrying, as a fixed number of slots that each
+ * hold a stack of one kind of item or nothing. Has no DOM dependencies so
+ * it can be saved and tested outside of the browser
+ */
+export class Inventory {
+	/**
+	 * Called whenever the contents of the inventory change
+	 * @type {(() => void) | null}
+	 */
+	onChange = null;
+
+	/**
+	 * @param {number} size Number of slots, including the hotbar
+	 */
+	constructor(size = 4 * HOTBAR_SIZE) {
+		/**
+		 * @type {(ItemStack | null)[]}
+		 */
+		this.slots = new Array(size).fill(null);
+	}
+
+	/**
+	 * Returns the stack in the slot at `index`, or null if it is empty
+	 * @param {number} index
+	 * @returns {ItemStack | null}
+	 */
+	getSlot(index) {
+		return this.slots[index] ?? null;
+	}
+
+	/**
+	 * Puts `stack` in the slot at `index` and returns the stack that was
+	 * there before
+	 * @param {number} index
+	 * @param {ItemStack | null} stack
+	 * @returns {ItemStack | null}
+	 */
+	setSlot(index, stack) {
+		const previous = this.getSlot(index);
+		this.slots[index] = stack && stack.count > 0 ? { ...stack } : null;
+		this.onChange?.();
+		return previous;
+	}
+
+	/**
+	 * Returns how many items of the item `id` the inventory holds
+	 * @param {number} id
+	 * @returns {number}
+	 */
+	count(id) {
+		return this.slots.reduce(
+			(total, stack) => (stack?.id === id ? total + stack.count : total),
+			0
+		);
+	}
+
+	/**
+	 * Adds `count` items of the item `id`, topping up existing stacks
+	 * before using empty slots
+	 * @param {number} id
+	 * @param {number} [count]
+	 * @returns {number} The number of items that didn't fit
+	 */
+	add(id, count = 1) {
+		const maxStackSize = getMaxStackSize(id);
+		for (const stack of this.slots) {
+			if (count === 0) break;
+			if (stack?.id !== id) continue;
+			const added = Math.min(count, maxStackSize - stack.count);
+			stack.count += added;
+			count -= added;
+		}
+		for (let i = 0; i < this.slots.length && count > 0; i++) {
+			if (this.slots[i]) continue;
+			const added = Math.min(count, maxStackSize);
+			this.slots[i] = { id, count: added };
+			count -= added;
+		}
+		this.onChange?.();
+		return count;
+	}
+
+	/**
+	 * Takes up to `count` items out of the slot at `index`
+	 * @param {number} index
+	 * @param {number} [count]
+	 * @returns {ItemStack | null} The items that were taken
+	 */
+	take(index, count = 1) {
+		const stack = this.getSlot(index);
+		if (!stack) return null;
+
+		const taken = Math.min(count, stack.count);
+		stack.count -= taken;
+		if (stack.count === 0) {
+			this.slots[index] = null;
+		}
+		this.onChange?.();
+		return { id: stack.id, count: taken };
+	}
+
+	/**
+	 * Swaps the contents of two slots
+	 * @param {number} a
+	 * @param {number} b
+	 */
+	swap(a, b) {
+		[this.slots[a], this.slots[b]] = [this.slots[b], this.slots[a]];
+		this.onChange?.();
+	}
+
+	/**
+	 * Empties every slot
+	 */
+	clear() {
+		this.slots.fill(null);
+		this.onChange?.();
+	}
+
+	/**
+	 * Returns the contents of the inventory in a form that can be saved
+	 * as JSON
+	 * @returns {(ItemStack | null)[]}
+	 */
+	toJSON() {
+		return this.slots.map((stack) => (stack ? { ...stack } : null));
+	}
+
+	/**
+	 * Replaces the contents of the inventory with slots returned by
+	 * `toJSON()`. Stacks of items that are no longer registered, or of the
+	 * empty block, are dropped
+	 * @param {(ItemStack | null)[]} slots
+	 */
+	fromJSON(slots) {
+		this.slots.fill(null);
+		slots.slice(0, this.slots.length).forEach((stack, i) => {
+			const known =
+				(stack?.id !== blocks.empty.id && getBlockType(stack?.id)) ||
+				isTool(stack?.id);
+			if (stack && known && stack.count > 0) {
+				this.slots[i] = {
+					id: stack.id,
+					count: Math.min(stack.count, getMaxStackSize(stack.id)),
+				};
+			}
+		});
+		this.onChange?.();
+	}
+}
@@ -0,0 +1,292 @@
+import { getBlockIcon, getBlockType, blocks } from "./blocks";
+import { HOTBAR_SIZE, Inventory, getMaxStackSize } from "./inventory";
+import { RecipeBook } from "./crafting";
+import { getTool } from "./tools";
+
+/**
+ * Creates the icon of a stack of items, with the number of items in the
+ * corner. Blocks without textures are shown in their color
+ * @param {import("./inventory").ItemStack | null} stack
+ * @returns {HTMLElement}
+ */
+export function createItemIcon(stack) {
+	const item = document.createElement("div");
+	item.className = "item";
+	if (!stack) return item;
+
+	const block = getBlockType(stack.id);
+	const tool = getTool(stack.id);
+	const image = tool ? tool.icon : getBlockIcon(block);
+	if (image) {
+		const icon = document.createElement("img");
+		icon.src = `textures/${image}`;
+		item.append(icon);
+	} else if (block && block.color !== null) {
+		item.style.backgroundColor = `#${block.color.toString(16).padStart(6, "0")}`;
+	}
+	item.title = (tool ?? block).name;
+
+	if (stack.count > 1) {
+		const count = document.createElement("span");
+		count.className = "item-count";
+		count.textContent = String(stack.count);
+		item.append(count);
+	}
+	return item;
+}
+
+/**
+ * The full inventory grid, with a crafting grid above it. Clicking a slot
+ * picks up its stack, and clicking another slot puts it down, merging it
+ * with a stack of the same block or swapping it with a different one.
+ * Right clicking puts down a single item. The hotbar is the bottom row.
+ * Clicking the crafting result takes it and uses up one item from each
+ * cell of the crafting grid
+ */
+export class InventoryScreen {
+	/**
+	 * Whether the inventory is showing
+	 */
+	isOpen = false;
+	/**
+	 * The stack that was picked up and follows the mouse
+	 * @type {import("./inventory").ItemStack | null}
+	 */
+	held = null;
+	/**
+	 * Last known mouse position, where the held stack is drawn
+	 */
+	mouse = { x: 0, y: 0 };
+	/**
+	 * Width and height of the crafting grid. The inventory has a 2x2 grid
+	 * and crafting tables a 3x3 one
+	 */
+	craftingSize = 2;
+	/**
+	 * Stacks in the cells of the crafting grid, by row
+	 * @type {(import("./inventory").ItemStack | null)[]}
+	 */
+	crafting = [];
+
+	/**
+	 * @param {HTMLElement} element
+	 * @param {Inventory} inventory
+	 * @param {RecipeBook} recipes
+	 */
+	constructor(element, inventory, recipes) {
+		this.element = element;
+		this.inventory = inventory;
+		this.recipes = recipes;
+
+		this.element.addEventListener("contextmenu", (event) =>
+			event.preventDefault()
+		);
+		document.addEventListener("mousemove", (event) => {
+			this.mouse.x = event.clientX;
+			this.mouse.y = event.clientY;
+			this.moveHeldIcon();
+		});
+	}
+
+	/**
+	 * Shows the inventory
+	 * @param {number} craftingSize Width and height of the crafting grid
+	 */
+	open(craftingSize = 2) {
+		this.craftingSize = craftingSize;
+		this.crafting = new Array(craftingSize * craftingSize).fill(null);
+		this.isOpen = true;
+		this.element.classList.remove("hidden");
+		this.render();
+	}
+
+	/**
+	 * Hides the inventory. A stack that is still held and the items left
+	 * in the crafting grid go back into the inventory. If they don't all
+	 * fit, the rest stay where they were and the inventory stays open
+	 * @returns {boolean} Whether the inventory was closed
+	 */
+	close() {
+		const putBack = (stack) => {
+			if (!stack) return null;
+			const left = this.inventory.add(stack.id, stack.count);
+			return left > 0 ? { id: stack.id, count: left } : null;
+		};
+		this.held = putBack(this.held);
+		this.crafting = this.crafting.map(putBack);
+		if (this.held || this.crafting.some((stack) => stack)) {
+			this.render();
+			return false;
+		}
+
+		this.crafting = [];
+		this.isOpen = false;
+		this.element.classList.add("hidden");
+		this.render();
+		return true;
+	}
+
+	/**
+	 * Returns the recipe made by the items in the crafting grid, or null
+	 * if they don't make anything
+	 * @returns {import("./crafting").Recipe | null}
+	 */
+	findRecipe() {
+		const grid = this.crafting.map((stack) => stack?.id ?? blocks.empty.id);
+		return this.recipes.find(grid, this.craftingSize);
+	}
+
+	/**
+	 * Creates a slot showing `stack` that calls `onClick` when it is
+	 * clicked, with true if it was a right click
+	 * @param {import("./inventory").ItemStack | null} stack
+	 * @param {(single: boolean) => void} onClick
+	 * @returns {HTMLElement}
+	 */
+	createSlot(stack, onClick) {
+		const slot = document.createElement("div");
+		slot.className = "inventory-slot";
+		slot.append(createItemIcon(stack));
+		slot.addEventListener("mousedown", (event) => {
+			event.stopPropagation();
+			onClick(event.button === 2);
+			this.render();
+		});
+		return slot;
+	}
+
+	/**
+	 * Builds the crafting grid and the slot with the item it makes
+	 * @returns {HTMLElement}
+	 */
+	renderCrafting() {
+		const grid = document.createElement("div");
+		grid.className = "crafting-grid";
+		grid.style.gridTemplateColumns = `repeat(${this.craftingSize}, 6rem)`;
+		this.crafting.forEach((stack, i) => {
+			grid.append(
+				this.createSlot(stack, (single) => {
+					this.crafting[i] = this.placeHeld(stack, single);
+				})
+			);
+		});
+
+		const arrow = document.createElement("div");
+		arrow.className = "crafting-arrow";
+		arrow.textContent = "\u2192";
+
+		const recipe = this.findRecipe();
+		const result = this.createSlot(recipe?.result ?? null, () =>
+			this.takeResult()
+		);
+		result.classList.add("crafting-result");
+
+		const crafting = document.createElement("div");
+		crafting.className = "crafting";
+		crafting.append(grid, arrow, result);
+		return crafting;
+	}
+
+	/**
+	 * Rebuilds the grid of slots
+	 */
+	render() {
+		const grid = document.createElement("div");
+		grid.className = "inventory-grid";
+
+		// The hotbar goes along the bottom, below the rest of the inventory
+		const size = this.inventory.slots.length;
+		const order = [];
+		for (let i = HOTBAR_SIZE; i < size; i++) order.push(i);
+		for (let i = 0; i < HOTBAR_SIZE; i++) order.push(i);
+
+		for (const index of order) {
+			const slot = this.createSlot(this.inventory.getSlot(index), (single) =>
+				this.onSlotClick(index, single)
+			);
+			slot.classList.toggle("hotbar", index < HOTBAR_SIZE);
+			grid.append(slot);
+		}
+
+		const panel = document.createElement("div");
+		panel.className = "inventory-panel";
+		panel.append(this.renderCrafting(), grid);
+
+		this.heldIcon = this.held ? createItemIcon(this.held) : null;
+		this.heldIcon?.classList.add("held-item");
+		this.moveHeldIcon();
+		this.element.replaceChildren(
+			panel,
+			...(this.heldIcon ? [this.heldIcon] : [])
+		);
+	}
+
+	/**
+	 * Moves the icon of the held stack to the mouse
+	 */
+	moveHeldIcon() {
+		this.heldIcon?.style.setProperty("left", `${this.mouse.x}px`);
+		this.heldIcon?.style.setProperty("top", `${this.mouse.y}px`);
+	}
+
+	/**
+	 * @param {number} index
+	 * @param {boolean} single Put down a single item instead of the stack
+	 */
+	onSlotClick(index, single) {
+		const stack = this.placeHeld(this.inventory.getSlot(index), single);
+		this.inventory.setSlot(index, stack);
+	}
+
+	/**
+	 * Picks up or puts down items on a slot holding `stack`
+	 * @param {import("./inventory").ItemStack | null} stack
+	 * @param {boolean} single Put down a single item instead of the stack
+	 * @returns {import("./inventory").ItemStack | null} What the slot holds
+	 * afterwards
+	 */
+	placeHeld(stack, single) {
+		if (!this.held) {
+			this.held = stack;
+			return null;
+		}
+		if (stack && stack.id !== this.held.id) {
+			if (single) return stack;
+			const previous = this.held;
+			this.held = stack;
+			return previous;
+		}
+
+		const { id } = this.held;
+		const count = Math.min(
+			single ? 1 : this.held.count,
+			getMaxStackSize(id) - (stack?.count ?? 0)
+		);
+		this.held.count -= count;
+		if (this.held.count === 0) this.held = null;
+		return { id, count: (stack?.count ?? 0) + count };
+	}
+
+	/**
+	 * Picks up the item made by the crafting grid, using up one item from
+	 * each of its cells. Nothing happens if the held stack is a different
+	 * item or has no room for it
+	 */
+	takeResult() {
+		const recipe = this.findRecipe();
+		if (!recipe) return;
+
+		const { id, count } = recipe.result;
+		if (this.held) {
+			const room = getMaxStackSize(id) - this.held.count;
+			if (this.held.id !== id || room < count) return;
+			this.held.count += count;
+		} else {
+			this.held = { id, count };
+		}
+
+		this.crafting = this.crafting.map((stack) =>
+			stack && stack.count > 1 ? { ...stack, count: stack.count - 1 } : null
+		);
+	}
+}
@@ -0,0 +1,468 @@
+import { getLightLevel, isOpaque } from "./blocks.js";
+
+/**
+ * The brightest light level. Sunlight starts at this level and falls
+ * straight down without getting dimmer, and every other step costs a level
+ */
+export const MAX_LIGHT = 15;
+
+/**
+ * Bit offsets of the two light channels in a packed light value
+ */
+const SUNLIGHT = 4;
+const BLOCK_LIGHT = 0;
+
+/**
+ * Packs the sunlight and block light levels of a block into one byte
+ * @param {number} sunlight
+ * @param {number} blockLight
+ * @returns {number}
+ */
+export function packLight(sunlight, blockLight) {
+	return (sunlight << SUNLIGHT) | (blockLight << BLOCK_LIGHT);
+}
+
+/**
+ * @param {number} light A packed light value
+ * @returns {number}
+ */
+export function getSunlight(light) {
+	return (light >> SUNLIGHT) & 0xf;
+}
+
+/**
+ * @param {number} light A packed light value
+ * @returns {number}
+ */
+export function getBlockLight(light) {
+	return (light >> BLOCK_LIGHT) & 0xf;
+}
+
+/**
+ * Returns `light` with the level of the channel at bit offset `channel`
+ * replaced by `level`
+ * @param {number} light
+ * @param {number} channel
+ * @param {number} level
+ * @returns {number}
+ */
+function setLevel(light, channel, level) {
+	return (light & ~(0xf << channel)) | (level << channel);
+}
+
+/**
+ * The light of a block the sky shines on directly
+ */
+const SKY_LIGHT = packLight(MAX_LIGHT, 0);
+
+const directions = [
+	[1, 0, 0],
+	[-1, 0, 0],
+	[0, 1, 0],
+	[0, -1, 0],
+	[0, 0, 1],
+	[0, 0, -1],
+];
+
+/**
+ * Flood fills light through the world, with separate channels for
+ * sunlight, which comes down from the sky, and block light, which is given
+ * off by blocks with a `lightLevel`. Opaque blocks stop light.
+ *
+ * Sunlight needs every section of a chunk column, so columns are lit once
+ * all of their sections have loaded. Light only spreads through columns
+ * that have been lit, and spreads across to the neighbouring columns when
+ * a column is lit. After that, changing a block only relights the blocks
+ * its light reaches, which can be in other chunks.
+ *
+ * Sections above the highest opaque block in their column aren't given
+ * any light when the column is lit, and read as full sunlight until light
+ * is written into them, so the sky takes up no memory.
+ *
+ * The world only needs `chunkSize`, `worldHeight` and
+ * `getChunk(x, y, z)`, returning chunks with `loaded` and `data`
+ */
+export class LightEngine {
+	/**
+	 * The sections of each chunk column that has been lit, and the index of
+	 * the lowest section above its highest opaque block, keyed by the chunk
+	 * coordinates of the column
+	 * @type {Map<string, {sections: object[], sky: number}>}
+	 */
+	#columns = new Map();
+	/**
+	 * Chunks whose light changed since they were last returned
+	 * @type {Set<object>}
+	 */
+	#changed = new Set();
+
+	// The column, section and index of the block found by the last
+	// `#locate()`. The column is kept between calls, since most lookups are
+	// in the same column
+	#columnX = NaN;
+	#columnZ = NaN;
+	#column = null;
+	#section = 0;
+	#chunk = null;
+	#index = 0;
+
+	/**
+	 * @param {World} world
+	 */
+	constructor(world) {
+		this.world = world;
+	}
+
+	/**
+	 * Returns the packed light value of the block at (x, y, z), or null if
+	 * it isn't in a lit chunk column
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @returns {number | null}
+	 */
+	getLight(x, y, z) {
+		return this.#locate(x, y, z) ? this.#getLight() : null;
+	}
+
+	/**
+	 * Lights the chunk column at chunk coordinates (chunkX, chunkZ), whose
+	 * sections must all be loaded, and spreads its light into the lit
+	 * columns around it and theirs into it
+	 * @param {number} chunkX
+	 * @param {number} chunkZ
+	 * @returns {Set<object>} The chunks whose light changed
+	 */
+	lightColumn(chunkX, chunkZ) {
+		const { width, height } = this.world.chunkSize;
+		const sections = [];
+		for (let y = 0; y * height < this.world.worldHeight; y++) {
+			sections.push(this.world.getChunk(chunkX, y, chunkZ));
+		}
+
+		const sunlight = [];
+		const blockLight = [];
+		const area = width * width;
+
+		// Sunlight falls straight down until it hits an opaque block. Keep
+		// the height of that block for each column of blocks
+		const tops = new Int32Array(area).fill(-1);
+		sections.forEach(({ data }, section) => {
+			if (!data.ids) return;
+			for (let i = 0; i < data.volume; i++) {
+				if (isOpaque(data.ids[i])) {
+					tops[i % area] = section * height + Math.floor(i / area);
+				}
+			}
+		});
+
+		const column = {
+			sections,
+			sky: Math.floor(Math.max(...tops) / height) + 1,
+		};
+		this.#columns.set(`${chunkX},${chunkZ}`, column);
+		this.#resetCache();
+
+		// Only the sections below the sky section are given sunlight
+		for (let section = 0; section < column.sky; section++) {
+			const { data } = sections[section];
+			for (let i = 0; i < data.volume; i++) {
+				if (section * height + Math.floor(i / area) > tops[i % area]) {
+					data.setLightAt(i, SKY_LIGHT);
+				}
+			}
+		}
+		sections.forEach((chunk) => this.#changed.add(chunk));
+
+		// Then spreads sideways into the shade below taller neighbours
+		for (let z = 0; z < width; z++) {
+			for (let x = 0; x < width; x++) {
+				const top = tops[z * width + x];
+				for (const [dx, , dz] of directions) {
+					const nx = x + dx;
+					const nz = z + dz;
+					if (nx < 0 || nx >= width || nz < 0 || nz >= width) continue;
+					for (let y = top + 1; y <= tops[nz * width + nx]; y++) {
+						sunlight.push(chunkX * width + x, y, chunkZ * width + z);
+					}
+				}
+			}
+		}
+
+		// Blocks that give off light
+		sections.forEach(({ data }, section) => {
+			if (!data.ids) return;
+			for (let i = 0; i < data.volume; i++) {
+				const level = getLightLevel(data.ids[i]);
+				if (level === 0) continue;
+				const x = chunkX * width + (i % width);
+				const y = section * height + Math.floor(i / area);
+				const z = chunkZ * width + (Math.floor(i / width) % width);
+				this.#locate(x, y, z);
+				this.#setLight(setLevel(this.#getLight(), BLOCK_LIGHT, level));
+				blockLight.push(x, y, z);
+			}
+		});
+
+		// Light crosses the borders with the lit columns around it, from
+		// whichever side is brighter
+		for (const [dx, , dz] of directions) {
+			const neighbor = this.#columns.get(`${chunkX + dx},${chunkZ + dz}`);
+			if (!neighbor || (dx === 0 && dz === 0)) continue;
+			sections.forEach(({ data }, section) => {
+				for (let y = 0; y < height; y++) {
+					for (let t = 0; t < width; t++) {
+						// Local coordinates of the blocks either side of the border
+						const x = dx ? (dx > 0 ? width - 1 : 0) : t;
+						const z = dz ? (dz > 0 ? width - 1 : 0) : t;
+						const nx = dx ? width - 1 - x : t;
+						const nz = dz ? width - 1 - z : t;
+						const light = readLight(column, section, data.getIndex(x, y, z));
+						const neighborLight = readLight(
+							neighbor,
+							section,
+							data.getIndex(nx, y, nz)
+						);
+						const worldY = section * height + y;
+						for (const [queue, get] of [
+							[sunlight, getSunlight],
+							[blockLight, getBlockLight],
+						]) {
+							const difference = get(light) - get(neighborLight);
+							if (difference > 1) {
+								queue.push(chunkX * width + x, worldY, chunkZ * width + z);
+							} else if (difference < -1) {
+								queue.push(
+									(chunkX + dx) * width + nx,
+									worldY,
+									(chunkZ + dz) * width + nz
+								);
+							}
+						}
+					}
+				}
+			});
+		}
+
+		this.#spread(sunlight, SUNLIGHT);
+		this.#spread(blockLight, BLOCK_LIGHT);
+		return this.#takeChanged();
+	}
+
+	/**
+	 * Forgets the light of the chunk column at chunk coordinates
+	 * (chunkX, chunkZ), when it is unloaded
+	 * @param {number} chunkX
+	 * @param {number} chunkZ
+	 */
+	unloadColumn(chunkX, chunkZ) {
+		this.#columns.delete(`${chunkX},${chunkZ}`);
+		this.#resetCache();
+	}
+
+	/**
+	 * Forgets the light of every chunk column
+	 */
+	clear() {
+		this.#columns.clear();
+		this.#resetCache();
+	}
+
+	/**
+	 * Relights the world around the block at (x, y, z) after it changed.
+	 * Light the old block gave off or let through is taken away, and then
+	 * light flows back in from the blocks around it
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @returns {Set<object>} The chunks whose light changed
+	 */
+	update(x, y, z) {
+		if (!this.#locate(x, y, z)) return this.#takeChanged();
+		const id = this.#getId();
+		const light = this.#getLight();
+		const opaque = isOpaque(id);
+
+		for (const channel of [SUNLIGHT, BLOCK_LIGHT]) {
+			const darken = [x, y, z, (light >> channel) & 0xf];
+			const relight = [];
+
+			const emitted = channel === BLOCK_LIGHT ? getLightLevel(id) : 0;
+			this.#locate(x, y, z);
+			this.#setLight(setLevel(this.#getLight(), channel, emitted));
+			if (emitted > 0) relight.push(x, y, z);
+			this.#darken(darken, channel, relight);
+
+			if (!opaque) {
+				for (const [dx, dy, dz] of directions) {
+					relight.push(x + dx, y + dy, z + dz);
+				}
+				// Nothing above the top of the world blocks the sky
+				if (channel === SUNLIGHT && y === this.world.worldHeight - 1) {
+					this.#locate(x, y, z);
+					this.#setLight(setLevel(this.#getLight(), channel, MAX_LIGHT));
+					relight.push(x, y, z);
+				}
+			}
+			this.#spread(relight, channel);
+		}
+		return this.#takeChanged();
+	}
+
+	/**
+	 * Spreads light outwards from the blocks in `queue`, a flat list of
+	 * block coordinates. Blocks that are lit get added to the queue
+	 * @param {number[]} queue
+	 * @param {number} channel
+	 */
+	#spread(queue, channel) {
+		for (let i = 0; i < queue.length; i += 3) {
+			const x = queue[i];
+			const y = queue[i + 1];
+			const z = queue[i + 2];
+			if (!this.#locate(x, y, z)) continue;
+			const level = (this.#getLight() >> channel) & 0xf;
+			if (level <= 1) continue;
+
+			for (let d = 0; d < directions.length; d++) {
+				const [dx, dy, dz] = directions[d];
+				if (!this.#locate(x + dx, y + dy, z + dz)) continue;
+				if (isOpaque(this.#getId())) continue;
+
+				const next =
+					channel === SUNLIGHT && dy === -1 && level === MAX_LIGHT
+						? MAX_LIGHT
+						: level - 1;
+				const light = this.#getLight();
+				if (((light >> channel) & 0xf) < next) {
+					this.#setLight(setLevel(light, channel, next));
+					queue.push(x + dx, y + dy, z + dz);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Takes away the light that came from the blocks in `queue`, a flat list
+	 * of block coordinates and the level each block had. Blocks lit from
+	 * somewhere else are added to `relight` so their light can flow back
+	 * into the dark
+	 * @param {number[]} queue
+	 * @param {number} channel
+	 * @param {number[]} relight
+	 */
+	#darken(queue, channel, relight) {
+		for (let i = 0; i < queue.length; i += 4) {
+			const x = queue[i];
+			const y = queue[i + 1];
+			const z = queue[i + 2];
+			const level = queue[i + 3];
+
+			for (const [dx, dy, dz] of directions) {
+				if (!this.#locate(x + dx, y + dy, z + dz)) continue;
+				const light = this.#getLight();
+				const neighborLevel = (light >> channel) & 0xf;
+				if (neighborLevel === 0) continue;
+
+				const fromAbove =
+					channel === SUNLIGHT && dy === -1 && level === MAX_LIGHT;
+				if (neighborLevel < level || (fromAbove && neighborLevel === level)) {
+					// Blocks that give off light keep their own light
+					const emitted =
+						channel === BLOCK_LIGHT ? getLightLevel(this.#getId()) : 0;
+					this.#setLight(setLevel(light, channel, emitted));
+					queue.push(x + dx, y + dy, z + dz, neighborLevel);
+					if (emitted > 0) relight.push(x + dx, y + dy, z + dz);
+				} else {
+					relight.push(x + dx, y + dy, z + dz);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Finds the block at (x, y, z) for `#getId()`, `#getLight()` and
+	 * `#setLight()`. Returns false if it isn't in a lit chunk column
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @returns {boolean}
+	 */
+	#locate(x, y, z) {
+		const { width, height } = this.world.chunkSize;
+		if (y < 0 || y >= this.world.worldHeight) return false;
+
+		const chunkX = Math.floor(x / width);
+		const chunkY = Math.floor(y / height);
+		const chunkZ = Math.floor(z / width);
+		if (chunkX !== this.#columnX || chunkZ !== this.#columnZ) {
+			this.#columnX = chunkX;
+			this.#columnZ = chunkZ;
+			this.#column = this.#columns.get(`${chunkX},${chunkZ}`) ?? null;
+		}
+		const chunk = this.#column?.sections[chunkY];
+		if (!chunk?.loaded) return false;
+
+		this.#section = chunkY;
+		this.#chunk = chunk;
+		this.#index = chunk.data.getIndex(
+			x - chunkX * width,
+			y - chunkY * height,
+			z - chunkZ * width
+		);
+		return true;
+	}
+
+	/**
+	 * Forgets the column found by the last `#locate()`, after the lit
+	 * columns change
+	 */
+	#resetCache() {
+		this.#columnX = NaN;
+		this.#columnZ = NaN;
+		this.#column = null;
+	}
+
+	#getId() {
+		const { ids } = this.#chunk.data;
+		return ids ? ids[this.#index] : 0;
+	}
+
+	#getLight() {
+		return readLight(this.#column, this.#section, this.#index);
+	}
+
+	#setLight(light) {
+		const { data } = this.#chunk;
+		// Sky sections start out with the sunlight they were read as
+		if (!data.light && this.#section >= this.#column.sky) {
+			data.fillLight(SKY_LIGHT);
+		}
+		data.setLightAt(this.#index, light);
+		this.#changed.add(this.#chunk);
+	}
+
+	/**
+	 * @returns {Set<object>}
+	 */
+	#takeChanged() {
+		const changed = this.#changed;
+		this.#changed = new Set();
+		return changed;
+	}
+}
+
+/**
+ * Returns the packed light value of the block at `index` in section
+ * `section` of a lit chunk column. Sky sections without any light are in
+ * full sunlight
+ * @param {{sections: object[], sky: number}} column
+ * @param {number} section
+ * @param {number} index
+ * @returns {number}
+ */
+function readLight(column, section, index) {
+	const { data } = column.sections[section];
+	if (!data.light && section >= column.sky) return SKY_LIGHT;
+	return data.getLightAt(index);
+}
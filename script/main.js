@@ -2,11 +2,15 @@ import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/Addons.js";
 import { World } from "./world";
 import Stats from "three/examples/jsm/libs/stats.module.js";
-import { createUI } from "./ui";
+import { createUI, showStatus } from "./ui";
 import { Player } from "./player";
 import { Physics } from "./physics";
 import { blocks } from "./blocks";
 import { ModelLoader } from "./modelLoader";
+import { SaveSlots } from "./saveSlots";
+import { getToolModels } from "./tools";
+import { DayNightCycle } from "./dayNight";
+import { UnderwaterFog } from "./underwater";
 
 const stats = new Stats();
 document.body.append(stats.dom);
@@ -14,7 +18,6 @@ document.body.append(stats.dom);
 // Renderer setup
 const renderer = new THREE.WebGLRenderer({ antialias: true });
 renderer.setPixelRatio(window.devicePixelRatio);
-renderer.setClearColor(0x80a0e0);
 renderer.shadowMap.enabled = true;
 renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 renderer.setSize(window.innerWidth, window.innerHeight);
@@ -27,16 +30,19 @@ const orbitCamera = new THREE.PerspectiveCamera(
 	0.1,
 	1000
 );
-orbitCamera.position.set(-32, 32, -32);
-orbitCamera.layers.enable(1);
+orbitCamera.position.set(-32, 96, -32);
 const controls = new OrbitControls(orbitCamera, renderer.domElement);
-controls.target.set(32, 0, 32);
+controls.target.set(32, 64, 32);
 controls.update();
 
 // Scene setup
 const scene = new THREE.Scene();
 scene.fog = new THREE.Fog(0x80a0e0, 50, 100);
+const dayNight = new DayNightCycle(scene);
+const underwaterFog = new UnderwaterFog(scene);
+scene.add(dayNight);
 const world = new World();
+world.onChunkError = (error) => showStatus(error.message);
 world.generate();
 scene.add(world);
 
@@ -46,56 +52,99 @@ const player = new Player(scene);
 const physics = new Physics(scene);
 
 const modelLoader = new ModelLoader();
-modelLoader.loadModels((models) => {
-	// Add the pickaxe to the player
-	player.tool.setMesh(models.pickaxe);
-});
-
-// light
-const sun = new THREE.DirectionalLight();
-
-function setupLight() {
-	sun.intensity = 3;
-	sun.position.set(40, 40, 40);
-	sun.castShadow = true;
-	sun.shadow.camera.left = -50;
-	sun.shadow.camera.right = 50;
-	sun.shadow.camera.bottom = -50;
-	sun.shadow.camera.top = 50;
-	sun.shadow.camera.near = 0.1;
-	sun.shadow.camera.far = 100;
-	sun.shadow.bias = -0.0005;
-	sun.shadow.mapSize = new THREE.Vector2(1024, 1024);
-	scene.add(sun);
-	scene.add(sun.target);
-
-	const ambient = new THREE.AmbientLight();
-	ambient.intensity = 0.1;
-	scene.add(ambient);
-}
+modelLoader
+	.loadModels(getToolModels(), (loaded, total) =>
+		showStatus(`LOADING MODELS ${loaded}/${total}`)
+	)
+	.catch((error) => showStatus(error.message))
+	// Give the player whichever tool models did load
+	.finally(() => player.tool.setModels(modelLoader.models));
 
 function onMouseDown(event) {
-	if (player.controls.isLocked && player.selectedCoords) {
-		if (player.activeBlockId === blocks.empty.id) {
-			// bug
-			world.removeBlock(
-				player.selectedCoords.x,
-				player.selectedCoords.y,
-				player.selectedCoords.z
-			);
-			player.tool.startAnimation();
-		} else {
-			world.addBlock(
-				player.selectedCoords.x,
-				player.selectedCoords.y,
-				player.selectedCoords.z,
-				player.activeBlockId
-			);
+	if (!player.controls.isLocked) return;
+
+	// Right clicking a crafting table opens its larger crafting grid
+	const target = player.targetCoords;
+	if (
+		event.button === 2 &&
+		target &&
+		world.getBlock(target.x, target.y, target.z)?.id === blocks.craftingTable.id
+	) {
+		player.toggleInventory(3);
+		return;
+	}
+
+	// Right clicking water without a block selected picks it up, so it can
+	// be placed somewhere else like any other block
+	if (
+		event.button === 2 &&
+		player.activeBlockId === blocks.empty.id &&
+		player.pickUpFluid(world)
+	) {
+		return;
+	}
+
+	if (player.activeBlockId === blocks.empty.id) {
+		// Blocks break once the button has been held for long enough
+		player.isMining = true;
+		player.tool.startAnimation();
+	} else if (
+		player.selectedCoords &&
+		!player.isBlockedBy(player.selectedCoords, player.activeBlockId)
+	) {
+		const { x, y, z } = player.selectedCoords;
+		if (world.addBlock(x, y, z, player.activeBlockId)) {
+			player.inventory.take(player.toolbar.activeSlot);
 		}
 	}
 }
 
+function onMouseUp() {
+	player.isMining = false;
+}
+
 document.addEventListener("mousedown", onMouseDown);
+document.addEventListener("mouseup", onMouseUp);
+
+// Save slots
+const saveSlots = new SaveSlots(world, player, dayNight, captureThumbnail);
+
+/**
+ * Renders the current view and returns it as a small image data URL
+ * @returns {string}
+ */
+function captureThumbnail() {
+	// The drawing buffer is cleared after it is presented, so render a
+	// fresh frame and copy it before returning to the browser
+	renderer.render(
+		scene,
+		player.controls.isLocked ? player.camera : orbitCamera
+	);
+	const canvas = document.createElement("canvas");
+	canvas.width = 160;
+	canvas.height = 90;
+	canvas
+		.getContext("2d")
+		.drawImage(renderer.domElement, 0, 0, canvas.width, canvas.height);
+	return canvas.toDataURL("image/jpeg", 0.8);
+}
+
+document.addEventListener("keydown", (ev) => {
+	switch (ev.key) {
+		case "o":
+			saveSlots
+				.save()
+				.then(() => showStatus("GAME SAVED"))
+				.catch((error) => showStatus(error.message));
+			break;
+		case "l":
+			saveSlots
+				.load()
+				.then(() => showStatus("GAME LOADED"))
+				.catch((error) => showStatus(error.message));
+			break;
+	}
+});
 
 // Render loop
 let previousTime = performance.now();
@@ -105,13 +154,11 @@ function animate() {
 
 	requestAnimationFrame(animate);
 	if (player.controls.isLocked) {
-		player.update(world);
+		player.update(world, dt);
 		physics.update(dt, player, world);
-		world.update(player);
-
-		sun.position.copy(player.position);
-		sun.position.add(new THREE.Vector3(40, 40, 40));
-		sun.target.position.copy(player.position);
+		world.update(player, dt);
+		dayNight.update(dt, player.position);
+		underwaterFog.update(player.headUnderwater, dayNight.daylight);
 	}
 
 	renderer.render(
@@ -132,6 +179,5 @@ window.addEventListener("resize", () => {
 	renderer.setSize(window.innerWidth, window.innerHeight);
 });
 
-setupLight();
-createUI(scene, world, player);
+createUI(scene, world, player, dayNight, saveSlots);
 animate();
@@ -3,19 +3,43 @@ import { GLTFLoader } from "three/examples/jsm/Addons.js";
 export class ModelLoader {
 	loader = new GLTFLoader();
 
-	models = {
-		pickaxe: undefined,
-	};
+	/**
+	 * The models that have been loaded, keyed by name
+	 * @type {{[name: string]: THREE.Object3D}}
+	 */
+	models = {};
 
 	/**
-	 * Load the 3D models into memory
-	 * @param {(object) => ()} onLoad
+	 * Load the 3D models into memory. Models that fail to load are left
+	 * out, and the others are still loaded
+	 * @param {{[name: string]: string}} urls The glTF file of each model,
+	 * keyed by name
+	 * @param {(loaded: number, total: number) => void} [onProgress] Called
+	 * each time a model finishes loading
+	 * @returns {Promise<{[name: string]: THREE.Object3D}>} Rejects with an
+	 * error naming the models that failed once all of them have finished
 	 */
-	loadModels(onLoad) {
-		this.loader.load("models/pickaxe.glb", (model) => {
-			const mesh = model.scene;
-			this.models.pickaxe = mesh;
-			onLoad(this.models);
-		});
+	async loadModels(urls, onProgress) {
+		const entries = Object.entries(urls);
+		let loaded = 0;
+		onProgress?.(loaded, entries.length);
+
+		const failed = [];
+		await Promise.all(
+			entries.map(async ([name, url]) => {
+				try {
+					const model = await this.loader.loadAsync(url);
+					this.models[name] = model.scene;
+				} catch {
+					failed.push(url);
+				}
+				onProgress?.(++loaded, entries.length);
+			})
+		);
+
+		if (failed.length > 0) {
+			throw new Error(`Could not load ${failed.join(", ")}`);
+		}
+		return this.models;
 	}
 }
@@ -1,7 +1,9 @@
 import * as THREE from "three";
-import { blocks } from "./blocks";
+import { blocks, isFluid } from "./blocks";
+import { getColliders, moveBox } from "./collision";
+import { FLUID_FALLING, getFluidHeight } from "./fluidSimulator";
 import { Player } from "./player";
-import { WorldChunk } from "./worldChunk";
+import { World } from "./world";
 
 const collisionMaterial = new THREE.MeshBasicMaterial({
 	color: 0xff0000,
@@ -10,12 +12,6 @@ const collisionMaterial = new THREE.MeshBasicMaterial({
 });
 const collisionGeometry = new THREE.BoxGeometry(1.001, 1.001, 1.001);
 
-const contactMaterial = new THREE.MeshBasicMaterial({
-	wireframe: true,
-	color: 0x00ff00,
-});
-const contactGeometry = new THREE.SphereGeometry(0.05, 6, 6);
-
 export class Physics {
 	// Physic simulation rate
 	simulationRate = 250;
@@ -24,6 +20,15 @@ export class Physics {
 	accumulator = 0;
 	// Acceleration due to gravity
 	gravity = 32;
+	// How much of gravity is cancelled out when the player is fully in water
+	buoyancy = 0.9;
+	// How quickly water slows the player down vertically, per second
+	waterDrag = 4;
+	// Upward acceleration while holding jump in water
+	swimAcceleration = 20;
+	// Upward speed given when swimming at the surface into the side of the
+	// shore, so the player can climb out of the water
+	shoreBoost = 8;
 
 	constructor(scene) {
 		this.helpers = new THREE.Group();
@@ -35,212 +40,164 @@ export class Physics {
 	 * Moves the physics simulation forward in the time by 'dt
 	 * @param {number} dt
 	 * @param {Player} player
-	 * @param {WorldChunk} world
+	 * @param {World} world
 	 */
 	update(dt, player, world) {
 		this.accumulator += dt;
 		while (this.accumulator >= this.stepSize) {
-			this.helpers.clear();
-			player.velocity.y -= this.gravity * this.stepSize;
+			this.updateSubmersion(player, world);
+			if (player.flying) {
+				player.velocity.y = player.input.y * player.flySpeed;
+			} else if (player.inWater) {
+				this.applyWaterForces(player, this.stepSize);
+			} else {
+				player.velocity.y -= this.gravity * this.stepSize;
+			}
 			player.applyInputs(this.stepSize);
-			this.detectCollisions(player, world);
+
+			if (player.gameMode === "spectator") {
+				// Spectators fly straight through blocks
+				player.position.addScaledVector(player.worldVelocity, this.stepSize);
+				player.onGround = false;
+			} else {
+				const result = this.movePlayer(player, world, this.stepSize);
+				const blocked = result.collided[0] || result.collided[2];
+				const swimming = player.inWater && !player.onGround && !player.flying;
+				if (swimming && blocked && !player.headUnderwater) {
+					player.velocity.y = Math.max(player.velocity.y, this.shoreBoost);
+				}
+				// Flying players land when they fly down onto the ground
+				if (player.flying && player.onGround) {
+					player.flying = false;
+				}
+			}
 			this.accumulator -= this.stepSize;
 		}
-	}
-
-	/**
-	 * Main function for collision detection
-	 * @param {Player} player
-	 * @param {WorldChunk} world
-	 */
-	detectCollisions(player, world) {
-		player.onGround = false;
-
-		const candidates = this.broadPhase(player, world);
-		const collisions = this.narrowPhase(candidates, player);
 
-		if (collisions.length > 0) {
-			this.resolveCollisions(collisions, player);
+		if (this.helpers.visible) {
+			this.updateHelpers(player, world);
 		}
 	}
 
 	/**
+	 * Moves the player by its velocity over `dt` seconds, sliding along the
+	 * blocks it runs into and stepping up onto low ones. The sweep checks
+	 * every block along the way, so the player can't pass through blocks
+	 * however fast it is moving
 	 * @param {Player} player
-	 * @param {WorldChunk} world
-	 * @return {[]}
+	 * @param {World} world
+	 * @param {number} dt
+	 * @returns {import("./collision").MoveResult}
 	 */
-	broadPhase(player, world) {
-		const candidates = [];
+	movePlayer(player, world, dt) {
+		const velocity = player.worldVelocity;
+		const result = moveBox(
+			player.getBounds(),
+			[velocity.x * dt, velocity.y * dt, velocity.z * dt],
+			(x, y, z) => world.getBlock(x, y, z)?.id ?? blocks.empty.id,
+			{ stepHeight: player.stepHeight, onGround: player.onGround }
+		);
 
-		// Get the extents of the player
-		const extents = {
-			x: {
-				min: Math.floor(player.position.x - player.radius),
-				max: Math.ceil(player.position.x + player.radius),
-			},
-			y: {
-				min: Math.floor(player.position.y - player.height),
-				max: Math.ceil(player.position.y),
-			},
-			z: {
-				min: Math.floor(player.position.z - player.radius),
-				max: Math.ceil(player.position.z + player.radius),
-			},
-		};
+		player.position.x += result.movement[0];
+		player.position.y += result.movement[1];
+		player.position.z += result.movement[2];
+		player.onGround = result.onGround;
 
-		// Loop through all the blocks within the player's extents
-		// If they aren't empty, they are a possible collision candidates
-		for (let x = extents.x.min; x <= extents.x.max; x++) {
-			for (let y = extents.y.min; y <= extents.y.max; y++) {
-				for (let z = extents.z.min; z <= extents.z.max; z++) {
-					const blockId = world.getBlock(x, y, z)?.id;
-					if (blockId && blockId !== blocks.empty.id) {
-						const blockPos = { x, y, z };
-						candidates.push(blockPos);
-						this.addCollisionHelper(blockPos);
-					}
-				}
-			}
-		}
-
-		return candidates;
+		// Stop moving along the axes where the player hit something
+		const stopped = new THREE.Vector3();
+		result.collided.forEach((collided, axis) => {
+			if (collided) stopped.setComponent(axis, -velocity.getComponent(axis));
+		});
+		player.applyWorldDeltaVelocity(stopped);
+		return result;
 	}
 
 	/**
-	 * Narrow down the blocks found in the broad phase to the set
-	 * of blocks the player is actually colliding with
-	 * @param {{x:number, y:number, z:number}[]} candidates
+	 * Measures how deep the player is in fluid, from the fluid in the
+	 * column of blocks they are in, and whether their head is under it.
+	 * Spectators pass through fluid as if it wasn't there
 	 * @param {Player} player
-	 * @returns
+	 * @param {World} world
 	 */
-	narrowPhase(candidates, player) {
-		const collisions = [];
-
-		for (const block of candidates) {
-			// 1. Get point on block that is closest to the center of the
-			// player's bounding cylinder
-			const closestPoint = {
-				x: Math.max(block.x - 0.5, Math.min(player.position.x, block.x + 0.5)),
-				y: Math.max(
-					block.y - 0.5,
-					Math.min(player.position.y - player.height / 2, block.y + 0.5)
-				),
-				z: Math.max(block.z - 0.5, Math.min(player.position.z, block.z + 0.5)),
-			};
-			// 2. Determine if point is inside player's bounding cylinder
-			// Get the distance along each axis between closest point and the center
-			// of the player's bounding cylinder
-			const dx = closestPoint.x - player.position.x;
-			const dy = closestPoint.y - (player.position.y - player.height / 2);
-			const dz = closestPoint.z - player.position.z;
-
-			if (this.pointInPlayerBoundingCylinder(closestPoint, player)) {
-				// 3. If true, compute the following:
-				//      - Contact point
-				//      - Overlap
-				//      - Collision normal
-				// Compute the overlap between the point and the player's bounding
-				// cylinder along the y-axis and in the xz-plane
-				const overlapY = player.height / 2 - Math.abs(dy);
-				const overlapXZ = player.radius - Math.sqrt(dx * dx + dz * dz);
-
-				// Compute the normal of the collision (pointing away from the contact point)
-				// and the overlap between the point and the player's bounding cylinder
-				let normal, overlap;
-				if (overlapY < overlapXZ) {
-					normal = new THREE.Vector3(0, -Math.sign(dy), 0);
-					overlap = overlapY;
-					player.onGround = true;
-				} else {
-					normal = new THREE.Vector3(-dx, 0, -dz).normalize();
-					overlap = overlapXZ;
-				}
-
-				collisions.push({
-					block,
-					contactPoint: closestPoint,
-					normal,
-					overlap,
-				});
+	updateSubmersion(player, world) {
+		if (player.gameMode === "spectator") {
+			player.submersion = 0;
+			player.headUnderwater = false;
+			return;
+		}
 
-				this.addContactPointHelper(closestPoint);
+		const x = Math.round(player.position.x);
+		const z = Math.round(player.position.z);
+		const top = player.position.y;
+		const bottom = top - player.height;
+
+		let depth = 0;
+		player.headUnderwater = false;
+		for (let y = Math.round(bottom); y <= Math.round(top); y++) {
+			const surface = getFluidSurface(world, x, y, z);
+			if (surface === null) continue;
+			depth += Math.max(0, Math.min(top, surface) - Math.max(bottom, y - 0.5));
+			if (surface > top && y === Math.round(top)) {
+				player.headUnderwater = true;
 			}
 		}
-
-		return collisions;
+		player.submersion = Math.min(depth / player.height, 1);
 	}
 
 	/**
-	 * Resolves each of the collisions found in the narrow-phase
-	 * @param {object} collisions
+	 * Pushes the player up the deeper they are in water, slows them down,
+	 * and swims them upwards while jump is held
 	 * @param {Player} player
+	 * @param {number} dt
 	 */
-	resolveCollisions(collisions, player) {
-		// Resolve the collisions in order of the smallest overlap to the largest
-		collisions.sort((a, b) => {
-			return a.overlap < b.overlap;
-		});
-		for (const collision of collisions) {
-			// We need to re-check if the contact point is inside the player bounding
-			// cylinder for each collision since the player position is updated after
-			// each collision is resolved
-			if (!this.pointInPlayerBoundingCylinder(collision.contactPoint, player))
-				continue;
-
-			// 1. Adjust player position so it is no longer overlapping with
-			// the colliding block
-			let deltaPosition = collision.normal.clone();
-			deltaPosition.multiplyScalar(collision.overlap);
-			player.position.add(deltaPosition);
-
-			// 2. Negate player's velocity along the collision normal
-			// Get the magnitude of the player's velocity along the collision normal
-			let magnitude = player.worldVelocity.dot(collision.normal);
-			// Remove that part of the velocity from the player's velocity
-			let velocityAdjustment = collision.normal
-				.clone()
-				.multiplyScalar(magnitude);
-
-			// Apply the velocity to the player
-			player.applyWorldDeltaVelocity(velocityAdjustment.negate());
+	applyWaterForces(player, dt) {
+		const buoyancy = this.buoyancy * player.submersion;
+		player.velocity.y -= this.gravity * (1 - buoyancy) * dt;
+		if (player.input.y > 0) {
+			player.velocity.y += this.swimAcceleration * dt;
 		}
+		player.velocity.y *= Math.exp(-this.waterDrag * dt);
 	}
 
 	/**
-	 * Visualizes the block that the player is colliding with
-	 * @param {THREE.Object3D} block
-	 */
-	addCollisionHelper(block) {
-		const blockMesh = new THREE.Mesh(collisionGeometry, collisionMaterial);
-		blockMesh.position.copy(block);
-		this.helpers.add(blockMesh);
-	}
-
-	/**
-	 * Visualizes the contact at the point 'p
-	 * @param {{x, y, z}} p
-	 */
-	addContactPointHelper(p) {
-		const contactMesh = new THREE.Mesh(contactGeometry, contactMaterial);
-		contactMesh.position.copy(p);
-		this.helpers.add(contactMesh);
-	}
-
-	/**
-	 * Returns true if the point 'p' is inside the player's bounding cylinder
-	 * @param {{x: number, y: number, z: number}} p
+	 * Visualizes the block colliders around the player
 	 * @param {Player} player
-	 * @returns {boolean}
+	 * @param {World} world
 	 */
-	pointInPlayerBoundingCylinder(p, player) {
-		const dx = p.x - player.position.x;
-		const dy = p.y - (player.position.y - player.height / 2);
-		const dz = p.z - player.position.z;
-		const r_sq = dx * dx + dz * dz;
-
-		// Check if contact point is inside the player's bounding cylinder
-		return (
-			Math.abs(dy) < player.height / 2 && r_sq < player.radius * player.radius
+	updateHelpers(player, world) {
+		this.helpers.clear();
+		const colliders = getColliders(
+			player.getBounds(),
+			[1, 1, 1],
+			(x, y, z) => world.getBlock(x, y, z)?.id ?? blocks.empty.id
 		);
+		for (const { min, max } of colliders) {
+			const mesh = new THREE.Mesh(collisionGeometry, collisionMaterial);
+			mesh.position.set(
+				(min[0] + max[0]) / 2,
+				(min[1] + max[1]) / 2,
+				(min[2] + max[2]) / 2
+			);
+			mesh.scale.set(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+			this.helpers.add(mesh);
+		}
 	}
 }
+
+/**
+ * Returns the height of the surface of the fluid in the block at
+ * (x, y, z), or null if the block isn't a fluid. Fluid with more fluid
+ * above it fills the whole block
+ * @param {World} world
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {number | null}
+ */
+function getFluidSurface(world, x, y, z) {
+	const block = world.getBlock(x, y, z);
+	if (!block || !isFluid(block.id)) return null;
+	const above = world.getBlock(x, y + 1, z);
+	const state = above && isFluid(above.id) ? FLUID_FALLING : block.state;
+	return y - 0.5 + getFluidHeight(state);
+}
@@ -1,18 +1,85 @@
 import * as THREE from "three";
 import { PointerLockControls } from "three/examples/jsm/Addons.js";
 import { World } from "./world";
-import { blocks } from "./blocks";
+import { blocks, getDrops } from "./blocks";
 import { Tool } from "./tool";
+import { Toolbar } from "./toolbar";
+import { Inventory } from "./inventory";
+import { InventoryScreen } from "./inventoryScreen";
+import { Breath } from "./breath";
+import { BreathMeter } from "./breathMeter";
+import { BlockBreaker } from "./blockBreaker";
+import { tools } from "./tools";
+import { RecipeBook } from "./crafting";
+import recipes from "./recipes.json";
+import { boxesOverlap, getBlockColliders } from "./collision";
+import { isFluidSource } from "./fluidSimulator";
 
-const CENTER_SCREEN = new THREE.Vector2();
+/**
+ * The ways the player can play
+ * - "survival" walks with gravity and collides with blocks
+ * - "creative" can also fly by tapping jump twice
+ * - "spectator" always flies, passes through blocks and can't change them
+ */
+export const GAME_MODES = ["survival", "creative", "spectator"];
+
+/**
+ * Longest time between two presses of jump for them to count as a double
+ * tap, in milliseconds
+ */
+const DOUBLE_TAP_TIME = 300;
+
+/**
+ * Where new players start, and where players who drown are sent back to
+ */
+const SPAWN_POINT = new THREE.Vector3(16, 80, 16);
 
 export class Player {
-	radius = 0.5;
+	/**
+	 * Half the width of the box the player collides with
+	 */
+	radius = 0.3;
 	height = 1.75;
 	jumpSpeed = 10;
+	/**
+	 * How high a block can be for the player to walk up onto it without
+	 * jumping, such as a slab
+	 */
+	stepHeight = 0.6;
 	onGround = false;
 	maxSpeed = 10;
+	/**
+	 * How fast the player moves through water, as a fraction of walking
+	 */
+	swimSpeed = 0.4;
+	/**
+	 * How much of the player's height is in a fluid, from 0 to 1
+	 */
+	submersion = 0;
+	/**
+	 * Whether the camera is under the surface of a fluid
+	 */
+	headUnderwater = false;
+	/**
+	 * How long the player can stay underwater before drowning
+	 */
+	breath = new Breath();
+	/**
+	 * Movement from the keys that are held down. `y` is 1 while jump is
+	 * held, which swims upwards in water and flies upwards, and -1 while
+	 * shift is held, which flies downwards
+	 */
 	input = new THREE.Vector3();
+	/**
+	 * Whether the player is flying instead of falling
+	 */
+	flying = false;
+	/**
+	 * How fast the player flies up and down
+	 */
+	flySpeed = 10;
+	#gameMode = "survival";
+	#lastJumpTime = -Infinity;
 	velocity = new THREE.Vector3();
 	#worldVelocity = new THREE.Vector3();
 
@@ -25,21 +92,45 @@ export class Player {
 	controls = new PointerLockControls(this.camera, document.body);
 	cameraHelper = new THREE.CameraHelper(this.camera);
 
-	raycaster = new THREE.Raycaster(
-		new THREE.Vector3(),
-		new THREE.Vector3(),
-		0,
-		3
-	);
+	/**
+	 * How far away the player can pick blocks
+	 */
+	reach = 3;
 	selectedCoords = null;
-	activeBlockId = blocks.empty.id;
+	/**
+	 * Coordinates of the block the player is looking at, or null if there
+	 * is none in reach. Unlike `selectedCoords`, this is never the empty
+	 * space next to it where a block would be placed
+	 * @type {THREE.Vector3 | null}
+	 */
+	targetCoords = null;
 	tool = new Tool();
+	inventory = new Inventory();
+	blockBreaker = new BlockBreaker();
+	/**
+	 * Whether the mouse button for mining is held down
+	 */
+	isMining = false;
 	/**
 	 * @param {THREE.Scene} scene
 	 */
 	constructor(scene) {
-		this.camera.position.set(16, 16, 16);
-		this.camera.layers.enable(1);
+		this.toolbar = new Toolbar(
+			document.getElementById("toolbar"),
+			this.inventory
+		);
+		this.breathMeter = new BreathMeter(document.getElementById("breath"));
+		this.inventoryScreen = new InventoryScreen(
+			document.getElementById("inventory"),
+			this.inventory,
+			new RecipeBook(recipes)
+		);
+		this.inventory.onChange = () => {
+			this.toolbar.render();
+			if (this.inventoryScreen.isOpen) this.inventoryScreen.render();
+		};
+		this.resetInventory();
+		this.camera.position.copy(SPAWN_POINT);
 		scene.add(this.camera);
 		// scene.add(this.cameraHelper);
 		this.camera.add(this.tool);
@@ -47,9 +138,9 @@ export class Player {
 		document.addEventListener("keydown", (event) => this.onKeyDown(event));
 		document.addEventListener("keyup", (event) => this.onKeyUp(event));
 
-		// Wireframe mesh visualizing the player's bounding cylinder
+		// Wireframe mesh visualizing the player's bounding box
 		this.boundsHelper = new THREE.Mesh(
-			new THREE.CylinderGeometry(this.radius, this.radius, this.height, 16),
+			new THREE.BoxGeometry(2 * this.radius, this.height, 2 * this.radius),
 			new THREE.MeshBasicMaterial({ wireframe: true })
 		);
 		this.updateBoundsHelper.visible = false;
@@ -63,8 +154,46 @@ export class Player {
 		const selectionGeometry = new THREE.BoxGeometry(1.01, 1.01, 1.01);
 		this.selectionHelper = new THREE.Mesh(selectionGeometry, selectionMaterial);
 		scene.add(this.selectionHelper);
+		scene.add(this.blockBreaker);
 
-		this.raycaster.layers.set(0);
+		// The mouse button can be released while the pointer isn't locked
+		this.controls.addEventListener("unlock", () => (this.isMining = false));
+	}
+
+	/**
+	 * One of `GAME_MODES`. Spectators are always flying, players in the
+	 * other modes start on their feet, and only players in survival need
+	 * to breathe
+	 * @type {string}
+	 */
+	get gameMode() {
+		return this.#gameMode;
+	}
+
+	set gameMode(mode) {
+		this.#gameMode = mode;
+		this.flying = mode === "spectator";
+		if (mode === "spectator") {
+			this.submersion = 0;
+			this.headUnderwater = false;
+		}
+		if (mode !== "survival") this.breath.refill();
+	}
+
+	/**
+	 * Id of the block selected in the toolbar. The pickaxe is the empty block
+	 * @type {number}
+	 */
+	get activeBlockId() {
+		return this.toolbar.activeBlockId;
+	}
+
+	/**
+	 * The tool selected in the toolbar, or the hand
+	 * @type {import("./tools").ToolType}
+	 */
+	get activeTool() {
+		return this.toolbar.activeTool;
 	}
 
 	/**
@@ -82,49 +211,125 @@ export class Player {
 	/**
 	 * Updates the player state
 	 * @param {World} world
+	 * @param {number} dt
 	 */
-	update(world) {
+	update(world, dt) {
+		this.updateBreath(dt);
 		this.updateRaycaster(world);
+		this.updateMining(world, dt);
+		// Only show the tool when no block is selected
+		this.tool.setType(this.activeTool);
+		this.tool.visible = this.activeBlockId === blocks.empty.id;
 		this.tool.update();
 	}
 
 	/**
-	 * Updates the raycaster use for picking blocks
+	 * Uses up breath while the player's head is underwater, and gets it
+	 * back quickly once they come up for air. Players in survival drown
+	 * when it runs out, and the other modes never run out of breath
+	 * @param {number} dt
+	 */
+	updateBreath(dt) {
+		const underwater = this.headUnderwater && this.gameMode === "survival";
+		if (this.breath.update(dt, underwater)) this.drown();
+		this.breathMeter.update(this.breath.fraction);
+	}
+
+	/**
+	 * Sends the player back to the spawn point with their full breath. The
+	 * inventory is kept
+	 */
+	drown() {
+		this.position.copy(SPAWN_POINT);
+		this.velocity.set(0, 0, 0);
+		this.breath.refill();
+	}
+
+	/**
+	 * Breaks the selected block once it has been mined for long enough,
+	 * and puts its drops in the inventory
 	 * @param {World} world
+	 * @param {number} dt
 	 */
-	updateRaycaster(world) {
-		this.raycaster.setFromCamera(CENTER_SCREEN, this.camera);
-		const intersections = this.raycaster.intersectObject(world, true);
+	updateMining(world, dt) {
+		const mining = this.isMining && this.activeBlockId === blocks.empty.id;
+		const broken = this.blockBreaker.update(
+			dt,
+			world,
+			mining ? this.selectedCoords : null,
+			this.activeTool
+		);
 
-		if (intersections.length > 0) {
-			const intersection = intersections[0];
+		// Keep swinging the tool for as long as a block is being mined
+		if (this.blockBreaker.target) {
+			this.tool.startAnimation();
+		}
 
-			// Get the position of the chunk that the block is contained
-			const chunk = intersection.object.parent;
+		if (broken) {
+			const blockId = world.getBlock(broken.x, broken.y, broken.z).id;
+			if (world.removeBlock(broken.x, broken.y, broken.z)) {
+				// Drops that don't fit in the inventory are lost
+				for (const drop of getDrops(blockId)) {
+					this.inventory.add(drop.id, drop.count);
+				}
+			}
+		}
+	}
 
-			// Get transformation matrix of the intersected block
-			const blockMatrix = new THREE.Matrix4();
-			intersection.object.getMatrixAt(intersection.instanceId, blockMatrix);
+	/**
+	 * Finds the block the player is looking at. Only solid blocks can be
+	 * picked, so the player can reach through water and clouds
+	 * @param {World} world
+	 */
+	updateRaycaster(world) {
+		const direction = this.camera.getWorldDirection(new THREE.Vector3());
+		// Spectators can only look
+		const hit =
+			this.gameMode !== "spectator" &&
+			world.raycast(this.camera.position, direction, this.reach);
 
-			// Extract the position from the block's transformation matrix
-			// and store it in selectedCoords
-			this.selectedCoords = chunk.position.clone();
-			this.selectedCoords.applyMatrix4(blockMatrix);
+		if (hit) {
+			this.targetCoords = hit.coords;
+			this.selectedCoords = this.targetCoords.clone();
 
 			// If we are adding a block to the world, move the selection indicator
 			// to the nearest adjacent block
 			if (this.activeBlockId !== blocks.empty.id) {
-				this.selectedCoords.add(intersection.normal);
+				this.selectedCoords.add(hit.normal);
 			}
 
 			this.selectionHelper.position.copy(this.selectedCoords);
 			this.selectionHelper.visible = true;
 		} else {
 			this.selectedCoords = null;
+			this.targetCoords = null;
 			this.selectionHelper.visible = false;
 		}
 	}
 
+	/**
+	 * Picks up the fluid source the player is looking at into the
+	 * inventory, if there is one within reach and it fits
+	 * @param {World} world
+	 * @returns {boolean} True if a fluid was picked up
+	 */
+	pickUpFluid(world) {
+		if (this.gameMode === "spectator") return false;
+		const direction = this.camera.getWorldDirection(new THREE.Vector3());
+		const hit = world.raycast(this.camera.position, direction, this.reach, {
+			fluids: true,
+		});
+		if (!hit) return false;
+
+		const { x, y, z } = hit.coords;
+		const block = world.getBlock(x, y, z);
+		if (!isFluidSource(block) || this.inventory.add(block.id) > 0) {
+			return false;
+		}
+		world.removeBlock(x, y, z);
+		return true;
+	}
+
 	/**
 	 * Applies a change in velocity 'dv' that is specified in the world frame
 	 * @param {THREE.Vector3} dv
@@ -134,20 +339,58 @@ export class Player {
 		this.velocity.add(dv);
 	}
 
+	/**
+	 * Sets the player's velocity from the keys that are held down. The
+	 * physics moves the player by it
+	 * @param {number} dt
+	 */
 	applyInputs(dt) {
 		if (this.controls.isLocked) {
-			this.velocity.x = this.input.x;
-			this.velocity.z = this.input.z;
-			this.controls.moveRight(this.velocity.x * dt);
-			this.controls.moveForward(this.velocity.z * dt);
-			this.position.y += this.velocity.y * dt;
+			const speed = this.inWater && !this.flying ? this.swimSpeed : 1;
+			this.velocity.x = this.input.x * speed;
+			this.velocity.z = this.input.z * speed;
 
 			document.getElementById("player-position").innerHTML = this.toString();
 		}
 	}
 
 	/**
-	 * Updates the position of the player's bounding cylinder helper
+	 * Whether any part of the player is in a fluid
+	 * @type {boolean}
+	 */
+	get inWater() {
+		return this.submersion > 0;
+	}
+
+	/**
+	 * Returns the box the player collides with. The camera is at the
+	 * middle of its top
+	 * @returns {import("./collision").Box}
+	 */
+	getBounds() {
+		const { x, y, z } = this.position;
+		return {
+			min: [x - this.radius, y - this.height, z - this.radius],
+			max: [x + this.radius, y, z + this.radius],
+		};
+	}
+
+	/**
+	 * Returns true if a block of type `blockId` at `coords` would stop the
+	 * player where they are standing, so it can't be placed there
+	 * @param {THREE.Vector3} coords
+	 * @param {number} blockId
+	 * @returns {boolean}
+	 */
+	isBlockedBy(coords, blockId) {
+		const bounds = this.getBounds();
+		return getBlockColliders(coords.x, coords.y, coords.z, blockId).some(
+			(collider) => boxesOverlap(bounds, collider)
+		);
+	}
+
+	/**
+	 * Updates the position of the player's bounding box helper
 	 */
 	updateBoundsHelper() {
 		this.boundsHelper.position.copy(this.position);
@@ -167,12 +410,18 @@ export class Player {
 	 * @param {KeyboardEvent} event
 	 */
 	onKeyDown(event) {
+		const key = getKey(event);
+		if (key === "e" || (key === "Escape" && this.inventoryScreen.isOpen)) {
+			this.toggleInventory();
+			return;
+		}
+		if (this.inventoryScreen.isOpen) return;
+
 		if (!this.controls.isLocked) {
 			this.controls.lock();
 		}
 
-		switch (event.key) {
-			case "0":
+		switch (key) {
 			case "1":
 			case "2":
 			case "3":
@@ -181,16 +430,8 @@ export class Player {
 			case "6":
 			case "7":
 			case "8":
-				document
-					.getElementById(`toolbar-${this.activeBlockId}`)
-					.classList.remove("selected");
-				this.activeBlockId = Number(event.key);
-				document
-					.getElementById(`toolbar-${this.activeBlockId}`)
-					.classList.add("selected");
-
-				// Only show the tool when it is currently active
-				this.tool.visible = this.activeBlockId === blocks.empty.id;
+			case "9":
+				this.toolbar.select(Number(key) - 1);
 				break;
 			case "w":
 				this.input.z = this.maxSpeed;
@@ -205,13 +446,45 @@ export class Player {
 				this.input.x = this.maxSpeed;
 				break;
 			case "r":
-				this.position.set(32, 32, 32);
+				this.position.set(32, 80, 32);
 				this.velocity.set(0, 0, 0);
+				break;
 			case " ":
-				if (this.onGround) {
+				this.input.y = 1;
+				if (this.gameMode === "creative" && !event.repeat) {
+					// Tapping jump twice quickly starts or stops flying
+					const now = performance.now();
+					if (now - this.#lastJumpTime < DOUBLE_TAP_TIME) {
+						this.flying = !this.flying;
+						this.#lastJumpTime = -Infinity;
+					} else {
+						this.#lastJumpTime = now;
+					}
+				}
+				if (this.onGround && !this.flying) {
 					this.velocity.y += this.jumpSpeed;
 				}
 				break;
+			case "Shift":
+				this.input.y = -1;
+				break;
+		}
+	}
+
+	/**
+	 * Opens the inventory and frees the mouse so items can be moved, or
+	 * closes it and goes back to playing. The inventory stays open while
+	 * the items in it have nowhere to go
+	 * @param {number} craftingSize Width and height of the crafting grid,
+	 * which is 3 when using a crafting table
+	 */
+	toggleInventory(craftingSize = 2) {
+		if (this.inventoryScreen.isOpen) {
+			if (this.inventoryScreen.close()) this.controls.lock();
+		} else {
+			this.input.set(0, 0, 0);
+			this.controls.unlock();
+			this.inventoryScreen.open(craftingSize);
 		}
 	}
 
@@ -220,7 +493,7 @@ export class Player {
 	 * @param {KeyboardEvent} event
 	 */
 	onKeyUp(event) {
-		switch (event.key) {
+		switch (getKey(event)) {
 			case "w":
 				this.input.z = 0;
 				break;
@@ -233,6 +506,67 @@ export class Player {
 			case "d":
 				this.input.x = 0;
 				break;
+			case " ":
+				if (this.input.y > 0) this.input.y = 0;
+				break;
+			case "Shift":
+				if (this.input.y < 0) this.input.y = 0;
+				break;
+		}
+	}
+
+	/**
+	 * Returns the player state that is saved along with the world
+	 * @returns {{
+	 *  position: {x: number, y: number, z: number},
+	 *  inventory: (import("./inventory").ItemStack | null)[],
+	 *  gameMode: string
+	 * }}
+	 */
+	getState() {
+		return {
+			position: {
+				x: this.position.x,
+				y: this.position.y,
+				z: this.position.z,
+			},
+			inventory: this.inventory.toJSON(),
+			gameMode: this.gameMode,
+		};
+	}
+
+	/**
+	 * Restores the player state returned by `getState()`. Saves from before
+	 * the inventory existed start with the starting tools, and saves from
+	 * before game modes existed start in survival
+	 * @param {{
+	 *  position: {x: number, y: number, z: number},
+	 *  inventory?: (import("./inventory").ItemStack | null)[],
+	 *  gameMode?: string
+	 * }} state
+	 */
+	setState(state) {
+		const { x, y, z } = state.position;
+		this.position.set(x, y, z);
+		this.velocity.set(0, 0, 0);
+		this.breath.refill();
+		this.gameMode = GAME_MODES.includes(state.gameMode)
+			? state.gameMode
+			: "survival";
+		if (state.inventory) {
+			this.inventory.fromJSON(state.inventory);
+		} else {
+			this.resetInventory();
+		}
+	}
+
+	/**
+	 * Empties the inventory and gives the player the starting tools
+	 */
+	resetInventory() {
+		this.inventory.clear();
+		for (const tool of [tools.pickaxe, tools.axe, tools.shovel, tools.sword]) {
+			this.inventory.add(tool.id);
 		}
 	}
 
@@ -248,3 +582,13 @@ export class Player {
 		return str;
 	}
 }
+
+/**
+ * Returns the key that was pressed, in lower case for letters so that
+ * movement keys still work while shift is held
+ * @param {KeyboardEvent} event
+ * @returns {string}
+ */
+function getKey(event) {
+	return event.key.length === 1 ? event.key.toLowerCase() : event.key;
+}
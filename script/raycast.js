@@ -0,0 +1,55 @@
+/**
+ * @typedef {{coords: number[], normal: number[]}} RaycastHit
+ * The [x, y, z] coordinates of the block that was hit and the normal of
+ * the face the ray entered it through
+ */
+
+/**
+ * Steps through the blocks along a ray, one block at a time, and returns
+ * the first block within `maxDistance` that `isTarget` accepts. Blocks are
+ * centered on integer coordinates, so the block edges are halfway between
+ * them
+ * @param {number[]} origin
+ * @param {number[]} direction Must be normalized
+ * @param {number} maxDistance
+ * @param {(x: number, y: number, z: number) => boolean} isTarget
+ * @returns {RaycastHit | null}
+ */
+export function raycastBlocks(origin, direction, maxDistance, isTarget) {
+	const coords = origin.map(Math.round);
+	const normal = [0, 0, 0];
+	const step = [0, 0, 0];
+	const next = [0, 0, 0];
+	const delta = [0, 0, 0];
+
+	for (let axis = 0; axis < 3; axis++) {
+		const d = direction[axis];
+		step[axis] = Math.sign(d);
+		delta[axis] = d === 0 ? Infinity : Math.abs(1 / d);
+		const edge = coords[axis] + 0.5 * step[axis];
+		next[axis] = d === 0 ? Infinity : (edge - origin[axis]) / d;
+	}
+
+	let distance = 0;
+	while (distance <= maxDistance) {
+		if (isTarget(coords[0], coords[1], coords[2])) {
+			return { coords, normal };
+		}
+
+		// Move into whichever neighbouring block the ray reaches first
+		const axis =
+			next[0] < next[1]
+				? next[0] < next[2]
+					? 0
+					: 2
+				: next[1] < next[2]
+					? 1
+					: 2;
+		distance = next[axis];
+		next[axis] += delta[axis];
+		coords[axis] += step[axis];
+		normal.fill(0);
+		normal[axis] = -step[axis];
+	}
+	return null;
+}
@@ -0,0 +1,634 @@
+import { DataStore } from "./dataStore.js";
+
+/**
+ * Binary save format for the player's changes to the world.
+ *
+ * Layout (all numbers little-endian):
+ * - Header: magic "MCWS", format version (u16), seed (f64),
+ *   chunk width and height (u16 each), world params as UTF-8 JSON
+ *   (u32 length + bytes), player state as UTF-8 JSON (u32 length + bytes,
+ *   `null` if there is no player state), environment as UTF-8 JSON (u32
+ *   length + bytes, `null` if there is none)
+ * - Region count (u32), then each region: region x and z (i32 each),
+ *   chunk count (u16), then each chunk: x and z within the region (u8 each),
+ *   vertical section index (u8), compressed chunk length (u32) + bytes
+ *
+ * Each chunk is compressed with a palette of the block ids the player placed
+ * and run-length encoding over every block in the chunk. Palette index 0
+ * means the block is unchanged. Run lengths and palette indices are varints.
+ */
+
+const MAGIC = "MCWS";
+
+/**
+ * The version written by `encodeSave()`
+ */
+export const SAVE_FORMAT_VERSION = 4;
+
+/**
+ * Number of chunks along each side of a region
+ */
+export const REGION_SIZE = 16;
+
+/**
+ * Functions that read the body of a save of a given format version
+ * @type {{[version: number]: (reader: ByteReader, save: object) => void}}
+ */
+const readers = {
+	1: readBodyV1,
+	2: readBodyV2,
+	3: readBodyV3,
+	4: readBodyV4,
+};
+
+/**
+ * Upgrades a decoded save from the keyed version to the next version.
+ * When the format changes, bump SAVE_FORMAT_VERSION, add a reader for the
+ * new layout and add a migration from the previous version here
+ * @type {{[version: number]: (save: object) => object}}
+ */
+const migrations = {
+	// Version 2 added the player state
+	1: (save) => ({ ...save, player: null }),
+	// Version 3 split chunks into vertical sections. Older worlds were a
+	// single section high, so their changes were read into section 0
+	2: (save) => save,
+	// Version 4 added the environment, like the time of day
+	3: (save) => ({ ...save, environment: null }),
+};
+
+/**
+ * Encodes the world params, the player's changes and optionally the player
+ * state and the environment into a binary save. The environment is the
+ * state of the world that changes while it is played but isn't made of
+ * blocks, like the time of day
+ * @param {{
+ *  params: object,
+ *  chunkSize: {width: number, height: number},
+ *  dataStore: DataStore,
+ *  player?: object | null,
+ *  environment?: object | null
+ * }} world
+ * @returns {Uint8Array}
+ */
+export function encodeSave({
+	params,
+	chunkSize,
+	dataStore,
+	player = null,
+	environment = null,
+}) {
+	const writer = new ByteWriter();
+
+	// Header
+	writer.writeString(MAGIC, false);
+	writer.writeUint16(SAVE_FORMAT_VERSION);
+	writer.writeFloat64(params.seed);
+	writer.writeUint16(chunkSize.width);
+	writer.writeUint16(chunkSize.height);
+	writer.writeString(JSON.stringify(params));
+	writer.writeString(JSON.stringify(player));
+	writer.writeString(JSON.stringify(environment));
+
+	// Group the modified chunks into regions
+	const regions = new Map();
+	for (const chunk of dataStore.getModifiedChunks()) {
+		const regionX = Math.floor(chunk.x / REGION_SIZE);
+		const regionZ = Math.floor(chunk.z / REGION_SIZE);
+		const key = `${regionX},${regionZ}`;
+		if (!regions.has(key)) {
+			regions.set(key, { x: regionX, z: regionZ, chunks: [] });
+		}
+		regions.get(key).chunks.push(chunk);
+	}
+
+	writer.writeUint32(regions.size);
+	for (const region of regions.values()) {
+		writer.writeInt32(region.x);
+		writer.writeInt32(region.z);
+		writer.writeUint16(region.chunks.length);
+		for (const chunk of region.chunks) {
+			writer.writeUint8(chunk.x - region.x * REGION_SIZE);
+			writer.writeUint8(chunk.z - region.z * REGION_SIZE);
+			writer.writeUint8(chunk.y);
+			const bytes = compressChunk(
+				dataStore.getChunkChanges(chunk.x, chunk.y, chunk.z),
+				chunkSize
+			);
+			writer.writeUint32(bytes.length);
+			writer.writeBytes(bytes);
+		}
+	}
+
+	return writer.toBytes();
+}
+
+/**
+ * Decodes a binary save written by `encodeSave()`, migrating it to the
+ * current format version if it was written by an older version
+ * @param {Uint8Array} bytes
+ * @param {object} [defaultParams] The params of a new world. If given, the
+ * saved params that these have must have values of the same type
+ * @returns {{
+ *  version: number,
+ *  seed: number,
+ *  params: object,
+ *  chunkSize: {width: number, height: number},
+ *  dataStore: DataStore,
+ *  player: object | null,
+ *  environment: object | null
+ * }}
+ */
+export function decodeSave(bytes, defaultParams) {
+	const reader = new ByteReader(bytes);
+
+	if (
+		bytes.length < MAGIC.length ||
+		reader.readString(MAGIC.length) !== MAGIC
+	) {
+		throw new Error("Not a world save: the file header is missing");
+	}
+
+	const version = reader.readUint16();
+	const readBody = readers[version];
+	if (!readBody) {
+		throw new Error(
+			`Unsupported save format version ${version} (latest is ${SAVE_FORMAT_VERSION})`
+		);
+	}
+
+	let save = { version };
+	try {
+		readBody(reader, save);
+	} catch (error) {
+		throw new Error(`Corrupt world save: ${error.message}`);
+	}
+	if (reader.offset !== bytes.length) {
+		throw new Error("Corrupt world save: unexpected data after the end");
+	}
+	validateSave(save, defaultParams);
+
+	for (let v = version; v < SAVE_FORMAT_VERSION; v++) {
+		save = migrations[v](save);
+		save.version = v + 1;
+	}
+
+	return save;
+}
+
+/**
+ * Converts a save from before the binary format, where the params and a
+ * flat object of changes keyed by `${chunkPosX}-${chunkPosZ}-${x}-${y}-${z}`
+ * (using the chunk's world position) were stored as JSON
+ * @param {object} params
+ * @param {{[key: string]: number}} data
+ * @param {{width: number, height: number}} chunkSize
+ * @returns {{
+ *  version: number,
+ *  seed: number,
+ *  params: object,
+ *  chunkSize: {width: number, height: number},
+ *  dataStore: DataStore,
+ *  player: null,
+ *  environment: null
+ * }}
+ */
+export function migrateLegacySave(params, data, chunkSize) {
+	const dataStore = new DataStore();
+	for (const [key, blockId] of Object.entries(data)) {
+		const match = key.match(/^(-?\d+)-(-?\d+)-(\d+)-(\d+)-(\d+)$/);
+		if (!match) continue;
+		const [posX, posZ, x, y, z] = match.slice(1).map(Number);
+		dataStore.set(
+			Math.floor(posX / chunkSize.width),
+			0,
+			Math.floor(posZ / chunkSize.width),
+			x,
+			y,
+			z,
+			blockId
+		);
+	}
+
+	return {
+		version: SAVE_FORMAT_VERSION,
+		seed: params.seed,
+		params,
+		chunkSize: { ...chunkSize },
+		dataStore,
+		player: null,
+		environment: null,
+	};
+}
+
+/**
+ * Checks that the decoded params, player state and environment have the
+ * expected shape
+ * @param {object} save
+ * @param {object} [defaultParams]
+ */
+function validateSave(save, defaultParams) {
+	const { params, player, environment } = save;
+	if (
+		typeof params !== "object" ||
+		params === null ||
+		typeof params.seed !== "number" ||
+		typeof params.terrain !== "object" ||
+		(defaultParams && !matchesParams(params, defaultParams))
+	) {
+		throw new Error("Corrupt world save: invalid world params");
+	}
+	if (player !== undefined && player !== null) {
+		const position = player.position;
+		if (
+			typeof position !== "object" ||
+			!["x", "y", "z"].every((axis) => Number.isFinite(position?.[axis]))
+		) {
+			throw new Error("Corrupt world save: invalid player state");
+		}
+		if (
+			player.inventory !== undefined &&
+			(!Array.isArray(player.inventory) ||
+				!player.inventory.every(
+					(stack) =>
+						stack === null ||
+						(Number.isInteger(stack?.id) && Number.isInteger(stack?.count))
+				))
+		) {
+			throw new Error("Corrupt world save: invalid inventory");
+		}
+		if (player.gameMode !== undefined && typeof player.gameMode !== "string") {
+			throw new Error("Corrupt world save: invalid game mode");
+		}
+	}
+	if (
+		environment !== undefined &&
+		environment !== null &&
+		(typeof environment !== "object" ||
+			(environment.time !== undefined && !Number.isFinite(environment.time)))
+	) {
+		throw new Error("Corrupt world save: invalid environment");
+	}
+}
+
+/**
+ * Returns true if every key of `params` that is also a key of `defaults`
+ * has a value of the same type. Params can be missing, since saves from
+ * older versions of the game don't have the params that were added since,
+ * and params that were removed since are ignored. They aren't loaded
+ * @param {object} params
+ * @param {object} defaults
+ * @returns {boolean}
+ */
+function matchesParams(params, defaults) {
+	return Object.entries(params).every(([key, value]) => {
+		if (!Object.hasOwn(defaults, key)) return true;
+		const expected = defaults[key];
+		if (typeof expected === "object" && expected !== null) {
+			return (
+				typeof value === "object" &&
+				value !== null &&
+				!Array.isArray(value) &&
+				matchesParams(value, expected)
+			);
+		}
+		return typeof value === typeof expected;
+	});
+}
+
+/**
+ * @param {ByteReader} reader
+ * @param {object} save
+ */
+function readBodyV1(reader, save) {
+	readHeader(reader, save);
+	readRegions(reader, save);
+}
+
+/**
+ * @param {ByteReader} reader
+ * @param {object} save
+ */
+function readBodyV2(reader, save) {
+	readHeader(reader, save);
+	save.player = JSON.parse(reader.readString());
+	readRegions(reader, save);
+}
+
+/**
+ * @param {ByteReader} reader
+ * @param {object} save
+ */
+function readBodyV3(reader, save) {
+	readHeader(reader, save);
+	save.player = JSON.parse(reader.readString());
+	readRegions(reader, save, true);
+}
+
+/**
+ * @param {ByteReader} reader
+ * @param {object} save
+ */
+function readBodyV4(reader, save) {
+	readHeader(reader, save);
+	save.player = JSON.parse(reader.readString());
+	save.environment = JSON.parse(reader.readString());
+	readRegions(reader, save, true);
+}
+
+/**
+ * Reads the header fields that follow the format version
+ * @param {ByteReader} reader
+ * @param {object} save
+ */
+function readHeader(reader, save) {
+	save.seed = reader.readFloat64();
+	save.chunkSize = {
+		width: reader.readUint16(),
+		height: reader.readUint16(),
+	};
+	// Block coordinates in the DataStore only have room for widths up to 256
+	if (
+		save.chunkSize.width === 0 ||
+		save.chunkSize.width > 256 ||
+		save.chunkSize.height === 0
+	) {
+		throw new Error("invalid chunk size");
+	}
+	save.params = JSON.parse(reader.readString());
+}
+
+/**
+ * @param {ByteReader} reader
+ * @param {object} save
+ * @param {boolean} [hasSections] Whether each chunk has a vertical section
+ * index. Chunks without one are in section 0
+ */
+function readRegions(reader, save, hasSections = false) {
+	save.dataStore = new DataStore();
+
+	const regionCount = reader.readUint32();
+	for (let r = 0; r < regionCount; r++) {
+		const regionX = reader.readInt32();
+		const regionZ = reader.readInt32();
+		const chunkCount = reader.readUint16();
+		for (let c = 0; c < chunkCount; c++) {
+			const chunkX = regionX * REGION_SIZE + reader.readUint8();
+			const chunkZ = regionZ * REGION_SIZE + reader.readUint8();
+			const chunkY = hasSections ? reader.readUint8() : 0;
+			const length = reader.readUint32();
+			const changes = decompressChunk(reader.readBytes(length), save.chunkSize);
+			for (const { x, y, z, blockId } of changes) {
+				save.dataStore.set(chunkX, chunkY, chunkZ, x, y, z, blockId);
+			}
+		}
+	}
+}
+
+/**
+ * Palette + run-length encodes the changes to a single chunk
+ * @param {{x: number, y: number, z: number, blockId: number}[]} changes
+ * @param {{width: number, height: number}} chunkSize
+ * @returns {Uint8Array}
+ */
+function compressChunk(changes, chunkSize) {
+	const volume = chunkSize.width * chunkSize.width * chunkSize.height;
+	const palette = [];
+	const paletteIndices = new Map();
+	// 0 means unchanged, so changed blocks use their palette index + 1
+	const cells = new Uint16Array(volume);
+
+	for (const { x, y, z, blockId } of changes) {
+		if (!paletteIndices.has(blockId)) {
+			paletteIndices.set(blockId, palette.length + 1);
+			palette.push(blockId);
+		}
+		cells[getIndex(x, y, z, chunkSize)] = paletteIndices.get(blockId);
+	}
+
+	const writer = new ByteWriter();
+	writer.writeVarUint(palette.length);
+	for (const blockId of palette) {
+		writer.writeVarUint(blockId);
+	}
+
+	let i = 0;
+	while (i < volume) {
+		const value = cells[i];
+		let run = 1;
+		while (i + run < volume && cells[i + run] === value) run++;
+		writer.writeVarUint(run);
+		writer.writeVarUint(value);
+		i += run;
+	}
+
+	return writer.toBytes();
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {{width: number, height: number}} chunkSize
+ * @returns {{x: number, y: number, z: number, blockId: number}[]}
+ */
+function decompressChunk(bytes, chunkSize) {
+	const reader = new ByteReader(bytes);
+	const volume = chunkSize.width * chunkSize.width * chunkSize.height;
+
+	const palette = [];
+	const paletteLength = reader.readVarUint();
+	for (let i = 0; i < paletteLength; i++) {
+		palette.push(reader.readVarUint());
+	}
+
+	const changes = [];
+	let i = 0;
+	while (i < volume) {
+		const run = reader.readVarUint();
+		const value = reader.readVarUint();
+		if (run === 0 || i + run > volume || value > palette.length) {
+			throw new Error("Corrupt chunk data in world save");
+		}
+		if (value !== 0) {
+			for (let j = i; j < i + run; j++) {
+				const x = j % chunkSize.width;
+				const z = Math.floor(j / chunkSize.width) % chunkSize.width;
+				const y = Math.floor(j / (chunkSize.width * chunkSize.width));
+				changes.push({ x, y, z, blockId: palette[value - 1] });
+			}
+		}
+		i += run;
+	}
+
+	return changes;
+}
+
+/**
+ * Same block ordering as `ChunkData.getIndex()`
+ */
+function getIndex(x, y, z, chunkSize) {
+	return (y * chunkSize.width + z) * chunkSize.width + x;
+}
+
+/**
+ * Appends little-endian values to a growable byte buffer
+ */
+class ByteWriter {
+	#bytes = new Uint8Array(256);
+	#view = new DataView(this.#bytes.buffer);
+	length = 0;
+
+	writeUint8(value) {
+		this.#reserve(1);
+		this.#view.setUint8(this.length, value);
+		this.length += 1;
+	}
+
+	writeUint16(value) {
+		this.#reserve(2);
+		this.#view.setUint16(this.length, value, true);
+		this.length += 2;
+	}
+
+	writeUint32(value) {
+		this.#reserve(4);
+		this.#view.setUint32(this.length, value, true);
+		this.length += 4;
+	}
+
+	writeInt32(value) {
+		this.#reserve(4);
+		this.#view.setInt32(this.length, value, true);
+		this.length += 4;
+	}
+
+	writeFloat64(value) {
+		this.#reserve(8);
+		this.#view.setFloat64(this.length, value, true);
+		this.length += 8;
+	}
+
+	/**
+	 * Writes an unsigned integer using 7 bits per byte
+	 * @param {number} value
+	 */
+	writeVarUint(value) {
+		do {
+			let byte = value & 0x7f;
+			value >>>= 7;
+			if (value !== 0) byte |= 0x80;
+			this.writeUint8(byte);
+		} while (value !== 0);
+	}
+
+	/**
+	 * @param {Uint8Array} bytes
+	 */
+	writeBytes(bytes) {
+		this.#reserve(bytes.length);
+		this.#bytes.set(bytes, this.length);
+		this.length += bytes.length;
+	}
+
+	/**
+	 * Writes a UTF-8 string, prefixed by its byte length unless
+	 * `withLength` is false
+	 * @param {string} value
+	 * @param {boolean} withLength
+	 */
+	writeString(value, withLength = true) {
+		const bytes = new TextEncoder().encode(value);
+		if (withLength) this.writeUint32(bytes.length);
+		this.writeBytes(bytes);
+	}
+
+	/**
+	 * @returns {Uint8Array}
+	 */
+	toBytes() {
+		return this.#bytes.slice(0, this.length);
+	}
+
+	#reserve(count) {
+		if (this.length + count <= this.#bytes.length) return;
+
+		let capacity = this.#bytes.length * 2;
+		while (capacity < this.length + count) capacity *= 2;
+		const bytes = new Uint8Array(capacity);
+		bytes.set(this.#bytes);
+		this.#bytes = bytes;
+		this.#view = new DataView(bytes.buffer);
+	}
+}
+
+/**
+ * Reads little-endian values written by `ByteWriter`
+ */
+class ByteReader {
+	offset = 0;
+
+	/**
+	 * @param {Uint8Array} bytes
+	 */
+	constructor(bytes) {
+		this.bytes = bytes;
+		this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	}
+
+	readUint8() {
+		return this.view.getUint8(this.#advance(1));
+	}
+
+	readUint16() {
+		return this.view.getUint16(this.#advance(2), true);
+	}
+
+	readUint32() {
+		return this.view.getUint32(this.#advance(4), true);
+	}
+
+	readInt32() {
+		return this.view.getInt32(this.#advance(4), true);
+	}
+
+	readFloat64() {
+		return this.view.getFloat64(this.#advance(8), true);
+	}
+
+	readVarUint() {
+		let value = 0;
+		let shift = 0;
+		let byte;
+		do {
+			byte = this.readUint8();
+			value += (byte & 0x7f) * 2 ** shift;
+			shift += 7;
+		} while (byte & 0x80);
+		return value;
+	}
+
+	readBytes(length) {
+		const start = this.#advance(length);
+		return this.bytes.subarray(start, start + length);
+	}
+
+	/**
+	 * Reads a UTF-8 string of `length` bytes, or a length-prefixed string
+	 * if no length is given
+	 * @param {number} [length]
+	 */
+	readString(length = this.readUint32()) {
+		return new TextDecoder().decode(this.readBytes(length));
+	}
+
+	/**
+	 * Moves past the next `count` bytes, returning the offset they start at
+	 */
+	#advance(count) {
+		if (this.offset + count > this.bytes.length) {
+			throw new Error("Unexpected end of world save");
+		}
+		const offset = this.offset;
+		this.offset += count;
+		return offset;
+	}
+}
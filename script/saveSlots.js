@@ -0,0 +1,277 @@
+import { WorldManager } from "./worldManager";
+import { decodeSave, encodeSave, migrateLegacySave } from "./saveFormat";
+
+/**
+ * File extension used for exported worlds
+ */
+export const WORLD_FILE_EXTENSION = ".mcworld";
+
+/**
+ * Connects the world, player and time of day to the named save slots in a
+ * WorldManager.
+ * All of the methods reject with a readable error message on failure
+ */
+export class SaveSlots {
+	/**
+	 * Name of the slot the world is saved into and loaded from
+	 */
+	current = "World 1";
+	/**
+	 * The known slots, most recently modified first
+	 * @type {Omit<import("./worldManager").WorldSlot, "data">[]}
+	 */
+	slots = [];
+	/**
+	 * Called whenever the list of slots or the current slot changes
+	 * @type {(() => void) | null}
+	 */
+	onChange = null;
+
+	/**
+	 * @param {World} world
+	 * @param {Player} player
+	 * @param {DayNightCycle} dayNight
+	 * @param {() => string} captureThumbnail Returns an image of the current
+	 * view as a data URL
+	 */
+	constructor(world, player, dayNight, captureThumbnail) {
+		this.world = world;
+		this.player = player;
+		this.dayNight = dayNight;
+		this.captureThumbnail = captureThumbnail;
+		this.manager = new WorldManager();
+	}
+
+	/**
+	 * Loads the list of slots, importing the old local storage save into
+	 * a slot of its own the first time it runs. The slots are still loaded
+	 * if the old save can't be imported
+	 * @returns {Promise<void>}
+	 */
+	async init() {
+		let importError = null;
+		try {
+			await this.importLocalStorageSave();
+		} catch (error) {
+			importError = error;
+		}
+
+		await this.refresh();
+		if (this.slots.length > 0) {
+			this.current = this.slots[0].name;
+		}
+		if (importError) {
+			throw new Error(
+				`Could not import the world saved by an older version: ${importError.message}`
+			);
+		}
+	}
+
+	/**
+	 * @returns {Promise<void>}
+	 */
+	async refresh() {
+		this.slots = await this.manager.list();
+		this.onChange?.();
+	}
+
+	/**
+	 * Saves the world, the player's position and the time of day into the
+	 * current slot
+	 * @returns {Promise<void>}
+	 */
+	async save() {
+		const player = this.player.getState();
+		await this.manager.save(this.current, {
+			seed: this.world.params.seed,
+			data: this.world.save(player, this.dayNight.getState()),
+			thumbnail: this.captureThumbnail(),
+			player,
+		});
+		await this.refresh();
+	}
+
+	/**
+	 * Loads the world saved in the slot called `name` and makes it current
+	 * @param {string} name
+	 * @returns {Promise<void>}
+	 */
+	async load(name = this.current) {
+		const slot = await this.manager.get(name);
+		if (!slot.data) {
+			throw new Error(`The world "${name}" has not been saved yet`);
+		}
+
+		let saved;
+		try {
+			saved = this.world.load(slot.data);
+		} catch (error) {
+			throw new Error(`The world "${name}" is corrupt: ${error.message}`);
+		}
+
+		// Saves from before the player state was part of the save format
+		// only have it on the slot
+		const player = saved.player ?? slot.player;
+		if (player) {
+			this.player.setState(player);
+		}
+		this.dayNight.setState(saved.environment);
+		this.current = name;
+		this.onChange?.();
+	}
+
+	/**
+	 * Starts a new world with a random seed in a new slot called `name`
+	 * @param {string} name
+	 * @returns {Promise<void>}
+	 */
+	async create(name) {
+		validateName(name);
+		const seed = Math.floor(Math.random() * 10000);
+		await this.manager.create(name, seed);
+
+		this.current = name;
+		this.world.params.seed = seed;
+		this.world.generate(true);
+		this.player.position.set(16, 80, 16);
+		this.player.velocity.set(0, 0, 0);
+		this.player.resetInventory();
+		this.player.gameMode = "survival";
+		this.dayNight.setState(null);
+		await this.save();
+	}
+
+	/**
+	 * Renames the current slot
+	 * @param {string} newName
+	 * @returns {Promise<void>}
+	 */
+	async rename(newName) {
+		validateName(newName);
+		await this.manager.rename(this.current, newName);
+		this.current = newName;
+		await this.refresh();
+	}
+
+	/**
+	 * Copies the current slot into a new slot called `newName`
+	 * @param {string} newName
+	 * @returns {Promise<void>}
+	 */
+	async duplicate(newName) {
+		validateName(newName);
+		await this.manager.duplicate(this.current, newName);
+		await this.refresh();
+	}
+
+	/**
+	 * Deletes the current slot
+	 * @returns {Promise<void>}
+	 */
+	async delete() {
+		await this.manager.delete(this.current);
+		this.current = (await this.manager.list())[0]?.name ?? "World 1";
+		await this.refresh();
+	}
+
+	/**
+	 * Downloads the world and the player state as a single file
+	 */
+	exportFile() {
+		const bytes = this.world.save(
+			this.player.getState(),
+			this.dayNight.getState()
+		);
+		const url = URL.createObjectURL(
+			new Blob([bytes], { type: "application/octet-stream" })
+		);
+		const link = document.createElement("a");
+		link.href = url;
+		link.download = `${this.current}${WORLD_FILE_EXTENSION}`;
+		link.click();
+		// Some browsers only start the download after the click has been
+		// handled, so the URL has to stay valid until then
+		setTimeout(() => URL.revokeObjectURL(url), 1000);
+	}
+
+	/**
+	 * Replaces the current world with one from an exported file. The file is
+	 * validated before anything is replaced. Imported worlds are not saved
+	 * into a slot until the player saves them
+	 * @param {File} file
+	 * @returns {Promise<void>}
+	 */
+	async importFile(file) {
+		const bytes = new Uint8Array(await file.arrayBuffer());
+
+		let saved;
+		try {
+			saved = this.world.load(bytes);
+		} catch (error) {
+			throw new Error(`Could not import "${file.name}": ${error.message}`);
+		}
+
+		if (saved.player) {
+			this.player.setState(saved.player);
+		}
+		this.dayNight.setState(saved.environment);
+		this.current = file.name.replace(/\.[^.]*$/, "");
+		this.onChange?.();
+	}
+
+	/**
+	 * Moves a save written to local storage by older versions of the game
+	 * into a new slot of its own. The save is kept in local storage if it
+	 * can't be imported
+	 * @returns {Promise<void>}
+	 */
+	async importLocalStorageSave() {
+		const saved = localStorage.getItem("minecraft_save");
+		const params = localStorage.getItem("minecraft_params");
+		const data = localStorage.getItem("minecraft_data");
+
+		let save;
+		if (saved) {
+			save = decodeSave(base64ToBytes(saved), this.world.params);
+		} else if (params && data) {
+			save = migrateLegacySave(
+				JSON.parse(params),
+				JSON.parse(data),
+				this.world.chunkSize
+			);
+		} else {
+			return;
+		}
+
+		const names = (await this.manager.list()).map((slot) => slot.name);
+		let name = "Imported World";
+		for (let i = 2; names.includes(name); i++) {
+			name = `Imported World ${i}`;
+		}
+		await this.manager.create(name, save.seed);
+		await this.manager.save(name, {
+			seed: save.seed,
+			data: encodeSave(save),
+		});
+		localStorage.removeItem("minecraft_save");
+		localStorage.removeItem("minecraft_params");
+		localStorage.removeItem("minecraft_data");
+	}
+}
+
+/**
+ * @param {string} name
+ */
+function validateName(name) {
+	if (!name || !name.trim()) {
+		throw new Error("Enter a name for the world first");
+	}
+}
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+	return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
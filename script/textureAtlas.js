@@ -0,0 +1,94 @@
+import { getFaceTextures, onBlockRegistered } from "./blocks.js";
+
+/**
+ * Size of a block texture in the atlas, in pixels. Textures of any other
+ * size are scaled to fit
+ */
+export const TILE_SIZE = 16;
+
+/**
+ * Pixels of wrapped texture around each tile. Mipmaps sample past the edge
+ * of the tile, so this keeps neighboring tiles from bleeding in until the
+ * padding shrinks to a single pixel
+ */
+export const TILE_PADDING = 8;
+
+/**
+ * Size of a tile including its padding, in pixels
+ */
+export const CELL_SIZE = TILE_SIZE + 2 * TILE_PADDING;
+
+/**
+ * Number of tiles in each row of the atlas. The atlas grows downwards as
+ * tiles are added, so the tile indices never change
+ */
+export const ATLAS_COLUMNS = 16;
+
+/**
+ * @typedef {{
+ *  texture: string | null,
+ *  color: number | null,
+ *  opacity: number
+ * }} AtlasTile
+ * A tile is drawn from the `texture` file in `public/textures`, or filled
+ * with `color` if there is no texture. Both are drawn at `opacity`
+ */
+
+/**
+ * The tiles in the atlas, indexed by tile index
+ * @type {AtlasTile[]}
+ */
+export const atlasTiles = [];
+
+/**
+ * @type {Map<string, number>}
+ */
+const tileIndices = new Map();
+
+/**
+ * The tile index of each face of each block type, indexed by block id
+ * @type {number[][]}
+ */
+const blockTiles = [];
+
+/**
+ * Returns the index of the atlas tile for `tile`, adding it if it isn't in
+ * the atlas yet
+ * @param {AtlasTile} tile
+ * @returns {number}
+ */
+function addTile(tile) {
+	const key = `${tile.texture ?? tile.color}@${tile.opacity}`;
+	if (!tileIndices.has(key)) {
+		tileIndices.set(key, atlasTiles.length);
+		atlasTiles.push(tile);
+	}
+	return tileIndices.get(key);
+}
+
+/**
+ * Returns the atlas tile used for `face` of blocks of type `blockId`. The
+ * faces are in the same order as the materials of a `THREE.BoxGeometry`
+ * @param {number} blockId
+ * @param {number} face
+ * @returns {number}
+ */
+export function getTileIndex(blockId, face) {
+	return blockTiles[blockId]?.[face] ?? 0;
+}
+
+// Every block that is drawn gets its tiles as soon as it is registered, so
+// adding a block only takes a PNG in `public/textures`
+onBlockRegistered((block) => {
+	const faceTextures = getFaceTextures(block);
+	if (!faceTextures && block.color === null) return;
+
+	blockTiles[block.id] = [];
+	for (let face = 0; face < 6; face++) {
+		blockTiles[block.id][face] = addTile({
+			texture: faceTextures?.[face] ?? null,
+			color: faceTextures ? null : block.color,
+			opacity: block.opacity,
+		});
+	}
+});
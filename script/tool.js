@@ -15,6 +15,10 @@ export class Tool extends THREE.Group {
 	animation = undefined;
 	// The 3D mesh of the actual tool
 	toolMesh = undefined;
+	// The tool being held, from the tool registry
+	type = null;
+	// Loaded tool models, keyed by tool name
+	models = {};
 
 	get animationTime() {
 		return performance.now() - this.animationStart;
@@ -34,7 +38,7 @@ export class Tool extends THREE.Group {
 		// Set a timer to stop the animation after a specified duration
 		this.animation = setTimeout(() => {
 			this.animate = false;
-			this.toolMesh.rotation.y = 0;
+			if (this.toolMesh) this.toolMesh.rotation.y = 0;
 		}, this.animationDuration * 1000);
 	}
 
@@ -49,6 +53,38 @@ export class Tool extends THREE.Group {
 		}
 	}
 
+	/**
+	 * Switches to the tool `type`, taking its animation settings and showing
+	 * its model once it has been loaded
+	 * @param {import("./tools").ToolType} type
+	 */
+	setType(type) {
+		if (type === this.type) return;
+		this.type = type;
+		this.animationAmplitude = type.animation.amplitude;
+		this.animationDuration = type.animation.duration;
+		this.animationSpeed = type.animation.speed;
+
+		const model = this.models[type.name];
+		if (model) {
+			this.setMesh(model);
+		} else {
+			this.clear();
+			this.toolMesh = undefined;
+		}
+	}
+
+	/**
+	 * Sets the loaded tool models and shows the model of the current tool
+	 * @param {{[name: string]: THREE.Object3D}} models
+	 */
+	setModels(models) {
+		this.models = models;
+		const type = this.type;
+		this.type = null;
+		if (type) this.setType(type);
+	}
+
 	/**
 	 * Sets the active tool mesh
 	 * @param {THREE.Mesh} mesh
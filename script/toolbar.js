@@ -0,0 +1,79 @@
+import { blocks } from "./blocks";
+import { HOTBAR_SIZE, Inventory } from "./inventory";
+import { createItemIcon } from "./inventoryScreen";
+import { getTool, tools } from "./tools";
+
+/**
+ * The row of items along the bottom of the screen, showing the hotbar,
+ * which is the first row of the inventory. Slots are selected with keys 1-9
+ */
+export class Toolbar {
+	/**
+	 * Index of the selected hotbar slot
+	 */
+	selected = 0;
+
+	/**
+	 * @param {HTMLElement} element The element the slots are added to
+	 * @param {Inventory} inventory
+	 */
+	constructor(element, inventory) {
+		this.element = element;
+		this.inventory = inventory;
+		this.render();
+	}
+
+	/**
+	 * Index of the inventory slot that is selected
+	 * @type {number}
+	 */
+	get activeSlot() {
+		return this.selected;
+	}
+
+	/**
+	 * Id of the block in the selected slot. Slots that are empty or hold a
+	 * tool are the empty block
+	 * @type {number}
+	 */
+	get activeBlockId() {
+		const id = this.inventory.getSlot(this.activeSlot)?.id;
+		if (id === undefined || getTool(id)) return blocks.empty.id;
+		return id;
+	}
+
+	/**
+	 * The tool in the selected slot. Anything other than a tool is mined
+	 * with the hand
+	 * @type {import("./tools").ToolType}
+	 */
+	get activeTool() {
+		const id = this.inventory.getSlot(this.activeSlot)?.id;
+		return getTool(id) ?? tools.hand;
+	}
+
+	/**
+	 * Selects the hotbar slot at `index`
+	 * @param {number} index
+	 */
+	select(index) {
+		this.selected = index;
+		this.render();
+	}
+
+	/**
+	 * Rebuilds the toolbar slots
+	 */
+	render() {
+		const slots = [];
+		for (let i = 0; i < HOTBAR_SIZE; i++) {
+			const slot = document.createElement("div");
+			slot.className = "toolbar-icon";
+			slot.id = `toolbar-${i}`;
+			slot.classList.toggle("selected", i === this.selected);
+			slot.append(createItemIcon(this.inventory.getSlot(i)));
+			slots.push(slot);
+		}
+		this.element.replaceChildren(...slots);
+	}
+}
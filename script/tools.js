@@ -0,0 +1,139 @@
+import { getBlockType } from "./blocks.js";
+
+/**
+ * Tools are items, so they share the item ids used by the inventory with
+ * blocks. Their ids start here to stay clear of the block ids
+ */
+export const TOOL_ID_OFFSET = 0x8000;
+
+/**
+ * @typedef {{
+ *  id: number,
+ *  name: string,
+ *  model: string | null,
+ *  icon: string | null,
+ *  animation: {amplitude: number, duration: number, speed: number},
+ *  speeds: {[category: string]: number}
+ * }} ToolType
+ * - `model` is the glTF file in `public/models` that is shown in the
+ *   player's hand, and `icon` the image in `public/textures` shown in the
+ *   inventory. The hand has neither
+ * - `animation` has the swing settings of `Tool`: the amplitude in
+ *   radians, the duration in seconds and the speed in radians per ms
+ * - `speeds` multiplies how fast the tool breaks blocks of each block
+ *   `category`. Categories that aren't listed break at normal speed
+ */
+
+/**
+ * The registered tools, keyed by name
+ * @type {{[name: string]: ToolType}}
+ */
+export const tools = {};
+
+/**
+ * @type {ToolType[]}
+ */
+const toolsById = [];
+
+/**
+ * Adds a tool to the registry
+ * @param {Partial<ToolType> & {name: string}} definition
+ * @returns {ToolType}
+ */
+export function registerTool(definition) {
+	if (tools[definition.name]) {
+		throw new Error(`A tool called "${definition.name}" already exists`);
+	}
+
+	const tool = {
+		model: null,
+		icon: null,
+		speeds: {},
+		...definition,
+		animation: {
+			amplitude: 0.5,
+			duration: 0.6,
+			speed: 0.025,
+			...definition.animation,
+		},
+		id: TOOL_ID_OFFSET + toolsById.length,
+	};
+	tools[tool.name] = tool;
+	toolsById.push(tool);
+	return tool;
+}
+
+/**
+ * Returns the tool with the item id `itemId`, or undefined if the item
+ * isn't a tool
+ * @param {number} itemId
+ * @returns {ToolType | undefined}
+ */
+export function getTool(itemId) {
+	return toolsById[itemId - TOOL_ID_OFFSET];
+}
+
+/**
+ * Returns true if the item `itemId` is a tool
+ * @param {number} itemId
+ * @returns {boolean}
+ */
+export function isTool(itemId) {
+	return getTool(itemId) !== undefined;
+}
+
+/**
+ * Returns how many times faster than normal `tool` breaks blocks of type
+ * `blockId`
+ * @param {ToolType} tool
+ * @param {number} blockId
+ * @returns {number}
+ */
+export function getToolSpeed(tool, blockId) {
+	const category = getBlockType(blockId)?.category;
+	return tool.speeds[category] ?? 1;
+}
+
+/**
+ * Returns the models of all of the tools, keyed by tool name
+ * @returns {{[name: string]: string}}
+ */
+export function getToolModels() {
+	const models = {};
+	for (const tool of toolsById) {
+		if (tool.model) models[tool.name] = `models/${tool.model}`;
+	}
+	return models;
+}
+
+registerTool({
+	name: "hand",
+	animation: { amplitude: 0.3, duration: 0.4 },
+});
+registerTool({
+	name: "pickaxe",
+	model: "pickaxe.glb",
+	icon: "pickaxe.png",
+	speeds: { stone: 4, dirt: 1.5 },
+});
+registerTool({
+	name: "axe",
+	model: "axe.gltf",
+	icon: "axe.png",
+	animation: { amplitude: 0.6, duration: 0.7 },
+	speeds: { wood: 4, plant: 2 },
+});
+registerTool({
+	name: "shovel",
+	model: "shovel.gltf",
+	icon: "shovel.png",
+	animation: { amplitude: 0.4, duration: 0.5 },
+	speeds: { dirt: 4 },
+});
+registerTool({
+	name: "sword",
+	model: "sword.gltf",
+	icon: "sword.png",
+	animation: { amplitude: 0.8, duration: 0.4, speed: 0.035 },
+	speeds: { plant: 3 },
+});
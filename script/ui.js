@@ -1,15 +1,58 @@
 import GUI from "three/examples/jsm/libs/lil-gui.module.min.js";
 import { resources } from "./blocks";
+import { biomes } from "./biomes";
+import { WORLD_FILE_EXTENSION } from "./saveSlots";
+import { ambientOcclusion } from "./blockMaterials";
+import { GAME_MODES } from "./player";
 
-export function createUI(scene, world, player) {
+/**
+ * Shows `message` in the status bar for a few seconds
+ * @param {string} message
+ */
+export function showStatus(message) {
+	const status = document.getElementById("status");
+	status.innerHTML = message;
+	clearTimeout(showStatus.timeout);
+	showStatus.timeout = setTimeout(() => {
+		status.innerHTML = "";
+	}, 3000);
+}
+
+/**
+ * @param {THREE.Scene} scene
+ * @param {World} world
+ * @param {Player} player
+ * @param {DayNightCycle} dayNight
+ * @param {SaveSlots} saveSlots
+ */
+export function createUI(scene, world, player, dayNight, saveSlots) {
 	const gui = new GUI();
 
+	const worldsFolder = createWorldsFolder(gui, saveSlots);
+
 	const sceneFolder = gui.addFolder("Scene");
 	sceneFolder.add(scene.fog, "near", 1, 200, 1).name("Fog Near");
 	sceneFolder.add(scene.fog, "far", 1, 200, 1).name("Fog Far");
+	sceneFolder.add(ambientOcclusion, "enabled").name("Ambient Occlusion");
+	sceneFolder.add(ambientOcclusion, "strength", 0, 1).name("AO Strength");
+
+	const timeFolder = gui.addFolder("Time");
+	timeFolder
+		.add(dayNight, "time", 0, 24, 0.1)
+		.name("Time of Day")
+		.listen()
+		.onChange(() => dayNight.apply(player.position));
+	timeFolder.add(dayNight, "speed", 0, 100).name("Speed");
+	timeFolder.add(dayNight, "paused").name("Paused");
+	timeFolder.add(dayNight, "dayLength", 60, 3600, 60).name("Day Length (s)");
 
 	const playerFolder = gui.addFolder("Player");
+	playerFolder.add(player, "gameMode", GAME_MODES).name("Game Mode").listen();
+	playerFolder.add(player, "flySpeed", 1, 40).name("Fly Speed");
 	playerFolder.add(player, "maxSpeed", 1, 20).name("Max Speed");
+	playerFolder.add(player, "stepHeight", 0, 1, 0.1).name("Step Height");
+	playerFolder.add(player, "swimSpeed", 0.1, 1).name("Swim Speed");
+	playerFolder.add(player.breath, "max", 1, 60, 1).name("Breath (s)");
 	playerFolder.add(player.cameraHelper, "visible").name("Show Camera Helper");
 
 	const terrainFolder = gui.addFolder("Terrain");
@@ -20,9 +63,11 @@ export function createUI(scene, world, player) {
 	terrainFolder
 		.add(world.params.terrain, "magnitude", 0, 32, 1)
 		.name("Magnitude");
-	terrainFolder.add(world.params.terrain, "offset", 0, 32, 1).name("Offset");
 	terrainFolder
-		.add(world.params.terrain, "waterOffset", 0, 32, 1)
+		.add(world.params.terrain, "offset", 0, world.worldHeight, 1)
+		.name("Offset");
+	terrainFolder
+		.add(world.params.terrain, "waterOffset", 0, world.worldHeight, 1)
 		.name("Water Offset");
 
 	const biomesFolder = gui.addFolder("Biomes");
@@ -33,15 +78,22 @@ export function createUI(scene, world, player) {
 	biomesFolder
 		.add(world.params.biomes.variation, "scale", 10, 500)
 		.name("Variation Scale");
-	biomesFolder
-		.add(world.params.biomes, "tundraToTemperate", 0, 1)
-		.name("Tundra -> Temperate");
-	biomesFolder
-		.add(world.params.biomes, "temperateToJungle", 0, 1)
-		.name("Temperate -> Jungle");
-	biomesFolder
-		.add(world.params.biomes, "jungleToDesert", 0, 1)
-		.name("Jungle -> Desert");
+	biomesFolder.add(world.params.biomes, "blend", 0, 0.2).name("Blend");
+	Object.values(biomes).forEach((biome) => {
+		const biomeFolder = biomesFolder.addFolder(biome.name).close();
+		const { temperature, humidity } = biome.climate;
+		biomeFolder.add(temperature, "min", 0, 1).name("Min Temperature");
+		biomeFolder.add(temperature, "max", 0, 1).name("Max Temperature");
+		biomeFolder.add(humidity, "min", 0, 1).name("Min Humidity");
+		biomeFolder.add(humidity, "max", 0, 1).name("Max Humidity");
+		biomeFolder.add(biome.terrain, "offset", -64, 64, 1).name("Height Offset");
+		biomeFolder.add(biome.terrain, "amplitude", 0, 5).name("Amplitude");
+		biome.vegetation.forEach((rule, i) => {
+			biomeFolder
+				.add(rule, "frequency", 0, 0.1)
+				.name(`Tree ${i + 1} Frequency`);
+		});
+	});
 
 	const resourcesFolder = terrainFolder.addFolder("Resources");
 	resources.forEach((resource) => {
@@ -56,7 +108,6 @@ export function createUI(scene, world, player) {
 	resourcesFolder.close();
 
 	const treesFolder = terrainFolder.addFolder("Trees").close();
-	treesFolder.add(world.params.trees, "frequency", 0, 0.1).name("Frequency");
 	treesFolder
 		.add(world.params.trees.trunk, "minHeight", 0, 10, 1)
 		.name("Min Height");
@@ -71,11 +122,120 @@ export function createUI(scene, world, player) {
 		.name("Max Radius");
 	treesFolder.add(world.params.trees.canopy, "density", 0, 1).name("Density");
 
+	const cavesFolder = terrainFolder.addFolder("Caves").close();
+	cavesFolder.add(world.params.caves, "density", 0, 1).name("Density");
+	cavesFolder.add(world.params.caves, "size", 1, 8).name("Size");
+	cavesFolder.add(world.params.caves, "minDepth", 0, 64, 1).name("Min Depth");
+	cavesFolder
+		.add(world.params.caves, "maxDepth", 0, world.worldHeight, 1)
+		.name("Max Depth");
+	cavesFolder.add(world.params.caves, "breakSurface").name("Break Surface");
+
 	const cloudsFolder = terrainFolder.addFolder("Clouds").close();
 	cloudsFolder.add(world.params.clouds, "scale", 20, 100, 1).name("Cloud Size");
 	cloudsFolder.add(world.params.clouds, "density", 0, 1).name("Cloud Cover");
+	cloudsFolder
+		.add(world.params.clouds, "height", 0, world.worldHeight - 1, 1)
+		.name("Cloud Height");
 
 	gui.onChange((event) => {
+		// Managing save slots, the scene, the time and the player don't change
+		// the world generation
+		const parent = event.controller.parent;
+		const folders = [worldsFolder, sceneFolder, timeFolder, playerFolder];
+		if (folders.includes(parent)) return;
 		world.generate(true);
 	});
 }
+
+/**
+ * Adds the controls for managing the save slots
+ * @param {GUI} gui
+ * @param {SaveSlots} saveSlots
+ * @returns {GUI}
+ */
+function createWorldsFolder(gui, saveSlots) {
+	const folder = gui.addFolder("Worlds");
+	const state = { name: "" };
+
+	const thumbnail = document.createElement("img");
+	thumbnail.className = "world-thumbnail";
+	folder.$children.append(thumbnail);
+
+	let slotController = folder.add(saveSlots, "current", []);
+	const nameController = folder.add(state, "name").name("Name");
+
+	// Shows the details of the currently selected slot
+	const showSlot = () => {
+		const slot = saveSlots.slots.find((s) => s.name === saveSlots.current);
+		thumbnail.src = slot?.thumbnail ?? "";
+		thumbnail.style.display = slot?.thumbnail ? "" : "none";
+		thumbnail.title = slot
+			? `Seed ${slot.seed}\n` +
+				`Created ${new Date(slot.created).toLocaleString()}\n` +
+				`Modified ${new Date(slot.modified).toLocaleString()}`
+			: "";
+	};
+
+	// Rebuilds the slot dropdown from the current list of slots
+	const updateSlots = () => {
+		const names = saveSlots.slots.map((slot) => slot.name);
+		if (!names.includes(saveSlots.current)) names.unshift(saveSlots.current);
+
+		slotController = slotController.options(names).name("World");
+		slotController.onChange(showSlot);
+		nameController.domElement.before(slotController.domElement);
+		showSlot();
+	};
+
+	// Runs a save slot action, reporting the outcome in the status bar
+	const run = (action, message) => () =>
+		action()
+			.then(() => showStatus(message))
+			.catch((error) => showStatus(error.message));
+
+	const actions = {
+		load: run(() => saveSlots.load(), "GAME LOADED"),
+		save: run(() => saveSlots.save(), "GAME SAVED"),
+		create: run(() => saveSlots.create(state.name), "WORLD CREATED"),
+		rename: run(() => saveSlots.rename(state.name), "WORLD RENAMED"),
+		duplicate: run(() => saveSlots.duplicate(state.name), "WORLD DUPLICATED"),
+		delete: run(() => saveSlots.delete(), "WORLD DELETED"),
+		export: () => saveSlots.exportFile(),
+		import: () => fileInput.click(),
+	};
+	folder.add(actions, "load").name("Load");
+	folder.add(actions, "save").name("Save");
+	folder.add(actions, "create").name("New World");
+	folder.add(actions, "rename").name("Rename");
+	folder.add(actions, "duplicate").name("Duplicate");
+	folder.add(actions, "delete").name("Delete");
+	folder.add(actions, "export").name("Export to File");
+	folder.add(actions, "import").name("Import from File");
+
+	// Worlds can be imported with the file picker or by dropping a file
+	// anywhere on the page
+	const importFile = (file) =>
+		run(() => saveSlots.importFile(file), "WORLD IMPORTED")();
+
+	const fileInput = document.createElement("input");
+	fileInput.type = "file";
+	fileInput.accept = WORLD_FILE_EXTENSION;
+	fileInput.addEventListener("change", () => {
+		if (fileInput.files.length > 0) importFile(fileInput.files[0]);
+		fileInput.value = "";
+	});
+
+	document.addEventListener("dragover", (event) => event.preventDefault());
+	document.addEventListener("drop", (event) => {
+		event.preventDefault();
+		if (event.dataTransfer.files.length > 0) {
+			importFile(event.dataTransfer.files[0]);
+		}
+	});
+
+	saveSlots.onChange = updateSlots;
+	saveSlots.init().catch((error) => showStatus(error.message));
+
+	return folder;
+}
@@ -0,0 +1,48 @@
+import * as THREE from "three";
+
+const WATER_COLOR = new THREE.Color(0x1d4f8f);
+
+/**
+ * Swaps the scene's fog for a thick blue one while the camera is
+ * underwater. The normal fog is kept as it is, so its settings come back
+ * when the player surfaces
+ */
+export class UnderwaterFog {
+	/**
+	 * How far the player can see underwater
+	 */
+	far = 16;
+
+	/**
+	 * @param {THREE.Scene} scene
+	 */
+	constructor(scene) {
+		this.scene = scene;
+		this.fog = scene.fog;
+		this.waterFog = new THREE.Fog(WATER_COLOR, 0.1, this.far);
+	}
+
+	/**
+	 * Uses the underwater fog while `underwater` is true. Has to be called
+	 * after the day and night cycle has set the colour of the sky, which it
+	 * replaces
+	 * @param {boolean} underwater
+	 * @param {number} daylight How bright it is, from 0 to 1, which also
+	 * darkens the water
+	 */
+	update(underwater, daylight) {
+		if (!underwater) {
+			// The sky colour was set on the underwater fog if it was in use
+			this.fog.color.copy(this.scene.background);
+			this.scene.fog = this.fog;
+			return;
+		}
+
+		this.waterFog.far = this.far;
+		this.waterFog.color
+			.copy(WATER_COLOR)
+			.multiplyScalar(THREE.MathUtils.lerp(0.15, 1, daylight));
+		this.scene.fog = this.waterFog;
+		this.scene.background.copy(this.waterFog.color);
+	}
+}
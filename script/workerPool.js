@@ -0,0 +1,94 @@
+/**
+ * Hands out jobs to a fixed number of web workers. Jobs are queued until a
+ * worker is free and each worker only processes one job at a time
+ */
+export class WorkerPool {
+	/**
+	 * @type {Worker[]}
+	 */
+	#idle = [];
+	/**
+	 * @type {{
+	 *  message: object,
+	 *  transfer: Transferable[],
+	 *  signal?: AbortSignal,
+	 *  resolve: (data: any) => void,
+	 *  reject: (error: Error) => void
+	 * }[]}
+	 */
+	#queue = [];
+
+	/**
+	 * @param {() => Worker} createWorker Factory for the pool's workers
+	 * @param {number} size Number of workers in the pool
+	 */
+	constructor(
+		createWorker,
+		size = Math.max(1, (navigator.hardwareConcurrency ?? 2) - 1)
+	) {
+		this.workers = [];
+		for (let i = 0; i < size; i++) {
+			const worker = createWorker();
+			this.workers.push(worker);
+			this.#idle.push(worker);
+		}
+	}
+
+	/**
+	 * Posts `message` to the next free worker and resolves with the data the
+	 * worker posts back. Jobs whose `signal` is aborted before they reach a
+	 * worker are rejected with an `AbortError` without being run
+	 * @param {object} message
+	 * @param {{transfer?: Transferable[], signal?: AbortSignal}} options
+	 * @returns {Promise<any>}
+	 */
+	run(message, { transfer = [], signal } = {}) {
+		return new Promise((resolve, reject) => {
+			this.#queue.push({ message, transfer, signal, resolve, reject });
+			this.#dispatch();
+		});
+	}
+
+	/**
+	 * Stops all of the workers. Queued jobs are discarded
+	 */
+	terminate() {
+		for (const worker of this.workers) {
+			worker.terminate();
+		}
+		this.workers = [];
+		this.#idle = [];
+		this.#queue = [];
+	}
+
+	#dispatch() {
+		while (this.#idle.length > 0 && this.#queue.length > 0) {
+			const job = this.#queue.shift();
+			if (job.signal?.aborted) {
+				job.reject(new DOMException("Job was aborted", "AbortError"));
+				continue;
+			}
+
+			const worker = this.#idle.pop();
+			worker.onmessage = (event) => {
+				this.#release(worker);
+				job.resolve(event.data);
+			};
+			worker.onerror = (event) => {
+				this.#release(worker);
+				job.reject(new Error(event.message));
+			};
+			worker.postMessage(job.message, job.transfer);
+		}
+	}
+
+	/**
+	 * @param {Worker} worker
+	 */
+	#release(worker) {
+		worker.onmessage = null;
+		worker.onerror = null;
+		this.#idle.push(worker);
+		this.#dispatch();
+	}
+}
@@ -1,12 +1,25 @@
 import * as THREE from "three";
 import { WorldChunk } from "./worldChunk";
 import { DataStore } from "./dataStore";
+import { WorkerPool } from "./workerPool";
+import { FluidSimulator, isFluidSource } from "./fluidSimulator";
+import { LightEngine, getBlockLight, getSunlight } from "./lighting";
+import { getLightLevel, isOpaque, isSolid } from "./blocks";
+import { decodeSave, encodeSave } from "./saveFormat";
+import { raycastBlocks } from "./raycast";
 
 export class World extends THREE.Group {
 	/**
-	 * Whether or not we want to load the chunks asynchronously
+	 * Whether or not we want to generate the chunks on web workers.
+	 * When disabled, chunks are generated on the main thread
 	 */
 	asyncLoading = true;
+	workerPool = new WorkerPool(
+		() =>
+			new Worker(new URL("./chunkWorker.js", import.meta.url), {
+				type: "module",
+			})
+	);
 	/**
 	 * The number of chunks to render around the player
 	 * When this is set to 0, the chunk the player is on
@@ -16,14 +29,40 @@ export class World extends THREE.Group {
 	 */
 	dataStore = new DataStore();
 	drawDistance = 2;
+	/**
+	 * Size of a chunk section. Each chunk column is split vertically into
+	 * sections that are generated, meshed and culled independently
+	 */
 	chunkSize = { width: 32, height: 32 };
+	/**
+	 * Height of the world in blocks
+	 */
+	worldHeight = 256;
+	/**
+	 * The chunk sections that are currently loaded, keyed by their chunk
+	 * coordinates
+	 * @type {Map<string, WorldChunk>}
+	 */
+	chunks = new Map();
+	/**
+	 * Chunks whose meshes need rebuilding at the end of the next update
+	 * @type {Set<WorldChunk>}
+	 */
+	meshUpdates = new Set();
+	/**
+	 * Called with the error when a chunk fails to generate
+	 * @type {((error: Error) => void) | null}
+	 */
+	onChunkError = null;
+	fluids = new FluidSimulator(this);
+	lighting = new LightEngine(this);
 	params = {
 		seed: 0,
 		terrain: {
 			scale: 80,
 			magnitude: 10,
-			offset: 5,
-			waterOffset: 3,
+			offset: 64,
+			waterOffset: 62,
 		},
 		biomes: {
 			scale: 200,
@@ -31,9 +70,8 @@ export class World extends THREE.Group {
 				amplitude: 0.2,
 				scale: 50,
 			},
-			tundraToTemperate: 0.25,
-			temperateToJungle: 0.5,
-			jungleToDesert: 0.75,
+			// How far (in climate units) biomes blend into each other
+			blend: 0.05,
 		},
 		trees: {
 			trunk: {
@@ -45,53 +83,58 @@ export class World extends THREE.Group {
 				maxRadius: 3,
 				density: 0.5, // Vary between 0.0 and 1.0
 			},
-			frequency: 0.005,
+		},
+		caves: {
+			density: 0.3, // Vary between 0.0 and 1.0
+			size: 3,
+			minDepth: 4, // Blocks below the surface
+			maxDepth: 80,
+			breakSurface: true,
 		},
 		clouds: {
 			scale: 20,
 			density: 0.2,
+			height: 96,
 		},
 	};
 
 	constructor(seed = 0) {
 		super();
 		this.seed = seed;
-
-		document.addEventListener("keydown", (ev) => {
-			switch (ev.key) {
-				case "o":
-					this.save();
-					break;
-				case "l":
-					this.load();
-					break;
-			}
-		});
 	}
 
 	/**
-	 * Saves the world data to local storage
+	 * Encodes the world params, the player's changes, the player state and
+	 * the environment into a binary save
+	 * @param {object | null} player State from `Player.getState()`
+	 * @param {object | null} environment State from `DayNightCycle.getState()`
+	 * @returns {Uint8Array}
 	 */
-	save() {
-		localStorage.setItem("minecraft_params", JSON.stringify(this.params));
-		localStorage.setItem("minecraft_data", JSON.stringify(this.dataStore.data));
-		document.getElementById("status").innerHTML = "GAME SAVED";
-		setTimeout(() => {
-			document.getElementById("status").innerHTML = "";
-		}, 3000);
+	save(player = null, environment = null) {
+		return encodeSave({
+			params: this.params,
+			chunkSize: this.chunkSize,
+			dataStore: this.dataStore,
+			player,
+			environment,
+		});
 	}
 
 	/**
-	 * Loads the game from disk
+	 * Replaces the world with one from a binary save and regenerates it.
+	 * The save is fully decoded and validated before anything is replaced,
+	 * so the world is left untouched if this throws
+	 * @param {Uint8Array} bytes
+	 * @returns {{player: object | null, environment: object | null}} The
+	 * saved player state and environment
 	 */
-	load() {
-		this.params = JSON.parse(localStorage.getItem("minecraft_params"));
-		this.dataStore.data = JSON.parse(localStorage.getItem("minecraft_data"));
-		document.getElementById("status").innerHTML = "GAME LOADED";
-		setTimeout(() => {
-			document.getElementById("status").innerHTML = "";
-		}, 3000);
+	load(bytes) {
+		const save = decodeSave(bytes, this.params);
+		copyParams(save.params, this.params);
+		this.chunkSize = save.chunkSize;
+		this.dataStore = save.dataStore;
 		this.generate();
+		return { player: save.player, environment: save.environment };
 	}
 
 	/**
@@ -102,32 +145,33 @@ export class World extends THREE.Group {
 			this.dataStore.clear();
 		}
 		this.disposeChunks();
+		this.fluids.clear();
+		this.lighting.clear();
 
 		for (let x = -this.drawDistance; x <= this.drawDistance; x++) {
 			for (let z = -this.drawDistance; z <= this.drawDistance; z++) {
-				const chunk = new WorldChunk(
-					this.chunkSize,
-					this.params,
-					this.dataStore
-				);
-				chunk.position.set(
-					x * this.chunkSize.width,
-					0,
-					z * this.chunkSize.width
-				);
-				chunk.userData = { x, z };
-				chunk.generate();
-				this.add(chunk);
+				for (let y = 0; y < this.sectionCount; y++) {
+					this.generateChunk(x, y, z);
+				}
 			}
 		}
 	}
 
+	/**
+	 * The number of sections in each chunk column
+	 * @type {number}
+	 */
+	get sectionCount() {
+		return Math.ceil(this.worldHeight / this.chunkSize.height);
+	}
+
 	/**
 	 * Updates the visible portions of the world based on the
-	 * current player position
+	 * current player position, and moves the fluids forward by `dt` seconds
 	 * @param {Player} player
+	 * @param {number} dt
 	 */
-	update(player) {
+	update(player, dt) {
 		// 1. Find visible chunks based on the player's current position
 		const visibleChunks = this.getVisibleChunks(player);
 		// 2. Compare with the current set of chunk
@@ -136,15 +180,21 @@ export class World extends THREE.Group {
 		this.removeUnusedChunks(visibleChunks);
 		// 4. Add new chunks that just came into view
 		for (const chunk of chunksToAdd) {
-			this.generateChunk(chunk.x, chunk.z);
+			this.generateChunk(chunk.x, chunk.y, chunk.z);
+		}
+
+		this.fluids.update(dt);
+		for (const chunk of this.meshUpdates) {
+			if (chunk.loaded && chunk.parent === this) chunk.updateMesh();
 		}
+		this.meshUpdates.clear();
 	}
 
 	/**
 	 * Returns an array containing the coordinates of the chunks that
 	 * are currently visible to the player
 	 * @param {Player} player
-	 * @returns {{x:number, y: number}[]}
+	 * @returns {{x: number, y: number, z: number}[]}
 	 */
 	getVisibleChunks(player) {
 		const visibleChunks = [];
@@ -167,7 +217,9 @@ export class World extends THREE.Group {
 				z <= chunkZ + this.drawDistance;
 				z++
 			) {
-				visibleChunks.push({ x, z });
+				for (let y = 0; y < this.sectionCount; y++) {
+					visibleChunks.push({ x, y, z });
+				}
 			}
 		}
 
@@ -177,58 +229,129 @@ export class World extends THREE.Group {
 	/**
 	 * Returns an array containing the coordinates of the chunk that
 	 * are not yet loaded and need to be added to the scene
-	 * @param {{x: number, z: number}[]} visibleChunks
-	 * @return {{x: number, z: number}[]}
+	 * @param {{x: number, y: number, z: number}[]} visibleChunks
+	 * @return {{x: number, y: number, z: number}[]}
 	 */
 	getChunksToAdd(visibleChunks) {
 		// Filter down the visible chunks to those not already in the world
-		return visibleChunks.filter((chunk) => {
-			const chunkExists = this.children
-				.map((obj) => obj.userData)
-				.find(({ x, z }) => chunk.x === x && chunk.z === z);
-
-			return !chunkExists;
-		});
+		return visibleChunks.filter(
+			(chunk) => !this.getChunk(chunk.x, chunk.y, chunk.z)
+		);
 	}
 
 	/**
 	 * Removes current loaded chunks that are no longer visible to the player
-	 * @param {{x: number, z: number}[]} visibleChunks
+	 * @param {{x: number, y: number, z: number}[]} visibleChunks
 	 */
 	removeUnusedChunks(visibleChunks) {
-		const chunksToRemove = this.children.filter((chunk) => {
-			const { x, z } = chunk.userData;
-			const chunkExists = visibleChunks.find(
-				(visibleChunk) => visibleChunk.x === x && visibleChunk.z === z
-			);
-
-			return !chunkExists;
-		});
+		const visibleKeys = new Set(
+			visibleChunks.map(({ x, y, z }) => this.getChunkKey(x, y, z))
+		);
 
-		for (const chunk of chunksToRemove) {
-			chunk.disposeInstances();
-			this.remove(chunk);
+		for (const [key, chunk] of this.chunks) {
+			if (!visibleKeys.has(key)) {
+				this.removeChunk(chunk);
+			}
 		}
 	}
 
 	/**
-	 * Generates the chunk at the (x, z) coordinates
+	 * Unloads a chunk section and forgets the light of its column
+	 * @param {WorldChunk} chunk
+	 */
+	removeChunk(chunk) {
+		const { x, y, z } = chunk.userData;
+		this.lighting.unloadColumn(x, z);
+		chunk.dispose();
+		this.remove(chunk);
+		this.chunks.delete(this.getChunkKey(x, y, z));
+	}
+
+	/**
+	 * Generates the chunk section at the (x, y, z) chunk coordinates
 	 * @param {number} x
+	 * @param {number} y
 	 * @param {number} z
 	 */
-	generateChunk(x, z) {
+	generateChunk(x, y, z) {
 		const chunk = new WorldChunk(this.chunkSize, this.params, this.dataStore);
-		chunk.position.set(x * this.chunkSize.width, 0, z * this.chunkSize.width);
-		chunk.userData = { x, z };
-		if (this.asyncLoading) {
-			requestIdleCallback(chunk.generate.bind(chunk), {
-				timeout: 1000,
-			});
-		} else {
-			chunk.generate();
+		chunk.position.set(
+			x * this.chunkSize.width,
+			y * this.chunkSize.height,
+			z * this.chunkSize.width
+		);
+		chunk.userData = { x, y, z };
+		this.chunks.set(this.getChunkKey(x, y, z), chunk);
+		this.add(chunk);
+
+		const generated = this.asyncLoading
+			? chunk.generateAsync(this.workerPool)
+			: chunk.generate();
+
+		// Fluid isn't saved, so let it flow back into any blocks the player
+		// changed once the chunk is ready
+		Promise.resolve(generated).then(
+			() => {
+				if (!chunk.loaded) return;
+				this.lightColumnIfLoaded(x, z);
+				for (const change of chunk.getPlayerChanges()) {
+					this.fluids.scheduleAround(
+						chunk.position.x + change.x,
+						chunk.position.y + change.y,
+						chunk.position.z + change.z
+					);
+				}
+			},
+			(error) => {
+				this.onChunkError?.(
+					new Error(`Could not generate chunk (${x}, ${y}, ${z})`, {
+						cause: error,
+					})
+				);
+				// Removing the chunk lets the next update generate it again
+				if (this.getChunk(x, y, z) === chunk) this.removeChunk(chunk);
+			}
+		);
+	}
+
+	/**
+	 * Lights the chunk column at chunk coordinates (x, z) once every one of
+	 * its sections has loaded, and builds their meshes. Chunks in the
+	 * columns around it that its light reached are rebuilt as well
+	 * @param {number} x
+	 * @param {number} z
+	 */
+	lightColumnIfLoaded(x, z) {
+		const sections = [];
+		for (let y = 0; y < this.sectionCount; y++) {
+			const chunk = this.getChunk(x, y, z);
+			if (!chunk?.loaded) return;
+			sections.push(chunk);
 		}
 
-		this.add(chunk);
+		const changed = this.lighting.lightColumn(x, z);
+		for (const chunk of sections) {
+			chunk.generateMeshes();
+			changed.delete(chunk);
+		}
+		for (const chunk of changed) {
+			if (chunk.parent === this) chunk.updateMesh();
+		}
+	}
+
+	/**
+	 * Returns the light levels of the block at (x, y, z), or null if its
+	 * chunk column hasn't been lit yet. How bright sunlight is also depends
+	 * on the time of day
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @returns {{sunlight: number, blockLight: number} | null}
+	 */
+	getLight(x, y, z) {
+		const light = this.lighting.getLight(x, y, z);
+		if (light === null) return null;
+		return { sunlight: getSunlight(light), blockLight: getBlockLight(light) };
 	}
 
 	/**
@@ -236,11 +359,11 @@ export class World extends THREE.Group {
 	 * @param {number} X
 	 * @param {number} Y
 	 * @param {number} Z
-	 * @returns {{id: number, instanceId:number} | null}
+	 * @returns {{id: number} | null}
 	 */
 	getBlock(x, y, z) {
 		const coords = this.worldToChunkCoords(x, y, z);
-		const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
+		const chunk = this.getChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
 
 		if (chunk && chunk.loaded) {
 			return chunk.getBlock(coords.block.x, coords.block.y, coords.block.z);
@@ -249,27 +372,59 @@ export class World extends THREE.Group {
 		}
 	}
 
+	/**
+	 * Returns the first solid block along a ray within `maxDistance`. Blocks
+	 * that aren't solid, like water and clouds, are looked through, and so
+	 * are chunks that haven't loaded yet. With `fluids`, fluid sources are
+	 * hit as well, so they can be picked up
+	 * @param {THREE.Vector3} origin
+	 * @param {THREE.Vector3} direction Must be normalized
+	 * @param {number} maxDistance
+	 * @param {{fluids?: boolean}} [options]
+	 * @returns {{coords: THREE.Vector3, normal: THREE.Vector3} | null} The
+	 * coordinates of the block that was hit and the normal of the face the
+	 * ray entered it through
+	 */
+	raycast(origin, direction, maxDistance, { fluids = false } = {}) {
+		const hit = raycastBlocks(
+			origin.toArray(),
+			direction.toArray(),
+			maxDistance,
+			(x, y, z) => {
+				const block = this.getBlock(x, y, z);
+				if (!block) return false;
+				return isSolid(block.id) || (fluids && isFluidSource(block));
+			}
+		);
+		if (!hit) return null;
+		return {
+			coords: new THREE.Vector3().fromArray(hit.coords),
+			normal: new THREE.Vector3().fromArray(hit.normal),
+		};
+	}
+
 	/**
 	 * Returns the coordinates of the block at world (x, y, z)
-	 * - `chunk` is the coordinate of the chunk containing the block
-	 * - `block` is the coordinate of the block relative to the chunk
+	 * - `chunk` is the coordinate of the chunk section containing the block
+	 * - `block` is the coordinate of the block relative to the section
 	 * @param {number} x
 	 * @param {number} y
 	 * @param {number} z
 	 * @returns {{
-	 *  chunk: {x:number, z:number},
-	 *  block: {x: number ,y:number, z: number}
+	 *  chunk: {x: number, y: number, z: number},
+	 *  block: {x: number, y: number, z: number}
 	 * }}
 	 */
 	worldToChunkCoords(x, y, z) {
 		const chunkCoords = {
 			x: Math.floor(x / this.chunkSize.width),
+			y: Math.floor(y / this.chunkSize.height),
 			z: Math.floor(z / this.chunkSize.width),
 		};
 
 		const blockCoords = {
 			x: x - this.chunkSize.width * chunkCoords.x,
-			y,
+			y: y - this.chunkSize.height * chunkCoords.y,
 			z: z - this.chunkSize.width * chunkCoords.z,
 		};
 
@@ -280,21 +435,25 @@ export class World extends THREE.Group {
 	}
 
 	/**
-	 * Returns the WorldChunk object at the specified coordinates
+	 * Returns the chunk section at the specified chunk coordinates
 	 * @param {number} chunkX
+	 * @param {number} chunkY
 	 * @param {number} chunkZ
-	 * @returns {WorldChunk | null}
+	 * @returns {WorldChunk | undefined}
 	 */
-	getChunk(chunkX, chunkZ) {
-		return this.children.find((chunk) => {
-			return chunk.userData.x === chunkX && chunk.userData.z === chunkZ;
-		});
+	getChunk(chunkX, chunkY, chunkZ) {
+		return this.chunks.get(this.getChunkKey(chunkX, chunkY, chunkZ));
+	}
+
+	getChunkKey(chunkX, chunkY, chunkZ) {
+		return `${chunkX},${chunkY},${chunkZ}`;
 	}
 
 	disposeChunks() {
-		this.traverse((chunk) => {
-			if (chunk.disposeInstances) chunk.disposeInstances();
-		});
+		for (const chunk of this.chunks.values()) {
+			chunk.dispose();
+		}
+		this.chunks.clear();
 		this.clear();
 	}
 
@@ -304,22 +463,26 @@ export class World extends THREE.Group {
 	 * @param {number} y
 	 * @param {number} z
 	 * @param {number} blockId
+	 * @returns {boolean} True if the block was added
 	 */
 	addBlock(x, y, z, blockId) {
 		const coords = this.worldToChunkCoords(x, y, z);
-		const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
+		const chunk = this.getChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
 
 		if (chunk) {
-			chunk.addBlock(coords.block.x, coords.block.y, coords.block.z, blockId);
-
-			// Hide adjacent neighbors if they are hidden
-			this.hideBlock(x - 1, y, z);
-			this.hideBlock(x + 1, y, z);
-			this.hideBlock(x, y - 1, z);
-			this.hideBlock(x, y + 1, z);
-			this.hideBlock(x, y, z - 1);
-			this.hideBlock(x, y, z + 1);
+			const added = chunk.addBlock(
+				coords.block.x,
+				coords.block.y,
+				coords.block.z,
+				blockId
+			);
+			if (added) {
+				this.updateMeshesAround(x, y, z);
+				this.fluids.scheduleAround(x, y, z);
+			}
+			return added;
 		}
+		return false;
 	}
 
 	/**
@@ -327,54 +490,131 @@ export class World extends THREE.Group {
 	 * @param {number} x
 	 * @param {number} y
 	 * @param {number} z
+	 * @returns {boolean} True if there was a block to remove
 	 */
 	removeBlock(x, y, z) {
 		const coords = this.worldToChunkCoords(x, y, z);
-		const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
+		const chunk = this.getChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
 
 		if (chunk) {
-			chunk.removeBlock(coords.block.x, coords.block.y, coords.block.z);
-
-			// Reveal adjacent neighbors if they are hidden
-			this.revealBlock(x - 1, y, z);
-			this.revealBlock(x + 1, y, z);
-			this.revealBlock(x, y - 1, z);
-			this.revealBlock(x, y + 1, z);
-			this.revealBlock(x, y, z - 1);
-			this.revealBlock(x, y, z + 1);
+			const removed = chunk.removeBlock(
+				coords.block.x,
+				coords.block.y,
+				coords.block.z
+			);
+			if (removed) {
+				this.updateMeshesAround(x, y, z);
+				this.fluids.scheduleAround(x, y, z);
+			}
+			return removed;
 		}
+		return false;
 	}
 
 	/**
-	 * Reveals the block at (x, y, z) by adding a new mesh instance
+	 * Sets the block at (x, y, z) without recording it as a change made by
+	 * the player. Used for blocks that are simulated, such as flowing water.
+	 * The meshes are rebuilt at the end of the next update so many changes
+	 * in one frame only rebuild each mesh once
 	 * @param {number} x
 	 * @param {number} y
 	 * @param {number} z
+	 * @param {number} blockId
+	 * @param {number} [state]
 	 */
-	revealBlock(x, y, z) {
+	setBlock(x, y, z, blockId, state = 0) {
 		const coords = this.worldToChunkCoords(x, y, z);
-		const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
+		const chunk = this.getChunk(coords.chunk.x, coords.chunk.y, coords.chunk.z);
+		if (!chunk || !chunk.loaded) return;
+
+		const { x: blockX, y: blockY, z: blockZ } = coords.block;
+		const previousId = chunk.getBlock(blockX, blockY, blockZ).id;
+		chunk.setBlockId(blockX, blockY, blockZ, blockId);
+		chunk.setBlockState(blockX, blockY, blockZ, state);
+		for (const neighbor of this.getChunksAround(x, y, z)) {
+			this.meshUpdates.add(neighbor);
+		}
 
-		if (chunk) {
-			chunk.addBlockInstance(coords.block.x, coords.block.y, coords.block.z);
+		// Fluids let light through, so flowing water doesn't need relighting
+		if (
+			isOpaque(previousId) !== isOpaque(blockId) ||
+			getLightLevel(previousId) !== getLightLevel(blockId)
+		) {
+			for (const changed of this.lighting.update(x, y, z)) {
+				this.meshUpdates.add(changed);
+			}
 		}
 	}
 
 	/**
-	 * Hides the block at (x, y, z) by adding a new mesh instance
+	 * Relights the world around the block at (x, y, z) after it changed, and
+	 * rebuilds the mesh of the chunk containing it, any neighboring chunk
+	 * that the block borders and any chunk whose light changed
 	 * @param {number} x
 	 * @param {number} y
 	 * @param {number} z
 	 */
-	hideBlock(x, y, z) {
-		const coords = this.worldToChunkCoords(x, y, z);
-		const chunk = this.getChunk(coords.chunk.x, coords.chunk.z);
+	updateMeshesAround(x, y, z) {
+		const chunks = this.getChunksAround(x, y, z);
+		for (const chunk of this.lighting.update(x, y, z)) {
+			if (chunk.parent === this) chunks.add(chunk);
+		}
+		for (const chunk of chunks) {
+			chunk.updateMesh();
+		}
+	}
 
-		if (
-			chunk &&
-			chunk.isBlockObscured(coords.block.x, coords.block.y, coords.block.z)
-		) {
-			chunk.deleteBlockInstance(coords.block.x, coords.block.y, coords.block.z);
+	/**
+	 * Returns the loaded chunk containing the block at (x, y, z), along with
+	 * any neighboring chunk that the block borders
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @returns {Set<WorldChunk>}
+	 */
+	getChunksAround(x, y, z) {
+		const chunks = new Set();
+		for (const [dx, dy, dz] of [
+			[0, 0, 0],
+			[-1, 0, 0],
+			[1, 0, 0],
+			[0, -1, 0],
+			[0, 1, 0],
+			[0, 0, -1],
+			[0, 0, 1],
+		]) {
+			const coords = this.worldToChunkCoords(x + dx, y + dy, z + dz);
+			const chunk = this.getChunk(
+				coords.chunk.x,
+				coords.chunk.y,
+				coords.chunk.z
+			);
+			if (chunk && chunk.loaded) chunks.add(chunk);
+		}
+		return chunks;
+	}
+}
+
+/**
+ * Keys that are never copied from a save, since assigning them would change
+ * the prototype of the params instead of adding a param
+ */
+const UNSAFE_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+/**
+ * Copies the values of `source` into `target`, keeping the nested objects of
+ * `target` so anything bound to them (such as the UI) stays connected.
+ * Only the params `target` already has are copied
+ * @param {object} source
+ * @param {object} target
+ */
+function copyParams(source, target) {
+	for (const [key, value] of Object.entries(source)) {
+		if (UNSAFE_KEYS.has(key) || !Object.hasOwn(target, key)) continue;
+		if (typeof value === "object" && value !== null) {
+			copyParams(value, target[key]);
+		} else {
+			target[key] = value;
 		}
 	}
 }
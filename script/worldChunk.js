@@ -1,471 +1,212 @@
 import * as THREE from "three";
-import { SimplexNoise } from "three/examples/jsm/Addons.js";
-import { RNG } from "./rng";
-import { blocks } from "./blocks";
-import { resources } from "./blocks";
-
-const geometry = new THREE.BoxGeometry(1, 1, 1);
+import { blocks, isFluid } from "./blocks";
+import { chunkDepthMaterial, chunkMaterials } from "./blockMaterials";
+import { ChunkData } from "./chunkData";
+import { ChunkGenerator } from "./chunkGenerator";
+import { biomes } from "./biomes";
+import { buildChunkMesh } from "./chunkMesher";
+import { MAX_LIGHT, packLight } from "./lighting";
 
 export class WorldChunk extends THREE.Group {
-	/**
-	 * @type {{
-	 *  id: number,
-	 *  instanceId: number
-	 * }[][][]}
-	 */
-	data = [];
-
 	constructor(size, params, dataStore) {
 		super();
 		this.loaded = false;
 		this.size = size;
 		this.params = params;
 		this.dataStore = dataStore;
+		this.data = new ChunkData(size);
 	}
 
 	/**
-	 * Generates the world data and meshes
+	 * Generates the world data. The meshes are built by the world once the
+	 * chunk has been lit
 	 */
 	generate() {
-		const start = performance.now();
-
-		const rng = new RNG(this.params.seed);
-		this.initializeTerrain();
-		this.generateTerrain(rng);
-		this.generateClouds(rng);
-		this.loadPlayerChanges();
-		this.generateMeshes();
+		const generator = new ChunkGenerator(this.size, this.params, this.position);
+		this.data = generator.generate(this.getPlayerChanges());
 
 		this.loaded = true;
 	}
 
 	/**
-	 * Initializing the world terrain data
+	 * Generates the world data on one of the workers in `workerPool`.
+	 * Resolves once the data has been posted back
+	 * @param {WorkerPool} workerPool
+	 * @returns {Promise<void>}
 	 */
-	initializeTerrain() {
-		this.data = [];
-		for (let x = 0; x < this.size.width; x++) {
-			const slice = [];
-			for (let y = 0; y < this.size.height; y++) {
-				const row = [];
-				for (let z = 0; z < this.size.width; z++) {
-					row.push({
-						id: 0,
-						instanceId: null,
-					});
-				}
-				slice.push(row);
-			}
-			this.data.push(slice);
-		}
+	generateAsync(workerPool) {
+		this.abortController = new AbortController();
+
+		const message = {
+			size: this.size,
+			params: this.params,
+			position: { x: this.position.x, y: this.position.y, z: this.position.z },
+			biomes: Object.values(biomes),
+			changes: this.getPlayerChanges(),
+		};
+
+		return workerPool
+			.run(message, { signal: this.abortController.signal })
+			.then(({ ids, states }) => {
+				// The chunk may have been unloaded while the worker was busy
+				if (this.abortController.signal.aborted) return;
+
+				this.data = new ChunkData(this.size, ids, states);
+
+				this.loaded = true;
+			})
+			.catch((error) => {
+				if (error.name !== "AbortError") throw error;
+			});
 	}
 
 	/**
-	 * Get the biome at the local chunk coordinates (x, z)
-	 * @param {SimplexNoise} simplex
-	 * @param {number} x
-	 * @param {number} z
+	 * Returns the changes the player has made to this chunk
+	 * @returns {{x: number, y: number, z: number, blockId: number}[]}
 	 */
-	getBiome(simplex, x, z) {
-		let noise =
-			0.5 *
-				simplex.noise(
-					(this.position.x + x) / this.params.biomes.scale,
-					(this.position.z + z) / this.params.biomes.scale
-				) +
-			0.5;
-		noise +=
-			this.params.biomes.variation.amplitude *
-			simplex.noise(
-				(this.position.x + x) / this.params.biomes.variation.scale,
-				(this.position.z + z) / this.params.biomes.variation.scale
-			);
-
-		if (noise < this.params.biomes.tundraToTemperate) {
-			return "Tundra";
-		} else if (noise < this.params.biomes.temperateToJungle) {
-			return "Temperate";
-		} else if (noise < this.params.biomes.jungleToDesert) {
-			return "Jungle";
-		} else {
-			return "Desert";
-		}
+	getPlayerChanges() {
+		const { x, y, z } = this.userData;
+		return this.dataStore.getChunkChanges(x, y, z);
 	}
 
 	/**
-	 * Generates the terrain data for the world
+	 * Generates the 3D representation of the world from the world data
 	 */
-	generateTerrain(rng) {
-		const simplex = new SimplexNoise(rng);
-
-		for (let x = 0; x < this.size.width; x++) {
-			for (let z = 0; z < this.size.width; z++) {
-				// Compute the noise value at this x-z location
-				const value = simplex.noise(
-					(this.position.x + x) / this.params.terrain.scale,
-					(this.position.z + z) / this.params.terrain.scale
-				);
-
-				// Scale the noise based on the magnitude/offset
-				const scaledNoise =
-					this.params.terrain.offset + this.params.terrain.magnitude * value;
-
-				// Compute the height of the terrain at this x-z location
-				let height = Math.floor(scaledNoise);
-
-				// Clamping height between 0 and max height
-				height = Math.max(0, Math.min(height, this.size.height - 1));
-
-				// Starting at the terrain height, fill in all the blocks bellow that height
-				for (let y = this.size.height; y >= 0; y--) {
-					if (y <= this.params.terrain.waterOffset && y === height) {
-						this.setBlockId(x, y, z, blocks.sand.id);
-					} else if (y === height) {
-						const biome = this.getBiome(simplex, x, z);
-						let groundBlockType;
-						if (biome === "Desert") {
-							groundBlockType = blocks.sand.id;
-						} else if (biome === "Temperate" || biome === "Jungle") {
-							groundBlockType = blocks.grass.id;
-						} else if (biome === "Tundra") {
-							groundBlockType = blocks.snow.id;
-						}
-						this.setBlockId(x, y, z, groundBlockType);
-
-						// Randomly generate tree
-						if (rng.random() < this.params.trees.frequency) {
-							this.generateTree(rng, biome, x, height + 1, z);
-						}
-					} else if (
-						y < height &&
-						this.getBlock(x, y, z).id === blocks.empty.id
-					) {
-						this.generateResourceIfNeeded(simplex, x, y, z);
-					}
-				}
-			}
-		}
+	generateMeshes() {
+		this.disposeMeshes();
+		this.updateMesh();
 	}
 
 	/**
-	 * Determines if a resource block should be generated at (x, y, z)
-	 * @param {SimplexNoise} simplex
-	 * @param {number} x
-	 * @param {number} y
-	 * @param {number} z
+	 * Rebuilds the chunk geometry from the current world data. Blocks
+	 * just outside of the chunk are looked up in the parent world so
+	 * faces touching a neighboring chunk are culled as well. Sections
+	 * with no blocks don't get a mesh at all.
+	 *
+	 * Transparent blocks like water get a mesh of their own, which doesn't
+	 * cast shadows and is sorted with the other transparent objects so it
+	 * is drawn over the opaque terrain behind it.
+	 *
+	 * Light outside of the world's lit chunks is taken to be open sky
 	 */
-	generateResourceIfNeeded(simplex, x, y, z) {
-		this.setBlockId(x, y, z, blocks.dirt.id);
-		resources.forEach((resource) => {
-			const value = simplex.noise3d(
-				(this.position.x + x) / resource.scale.x,
-				(this.position.y + y) / resource.scale.y,
-				(this.position.z + z) / resource.scale.z
+	updateMesh() {
+		if (this.data.isEmpty()) return;
+
+		if (!this.mesh) {
+			this.mesh = new THREE.Mesh(new THREE.BufferGeometry(), chunkMaterials);
+			this.mesh.castShadow = true;
+			this.mesh.customDepthMaterial = chunkDepthMaterial;
+			this.mesh.receiveShadow = true;
+			this.add(this.mesh);
+
+			this.transparentMesh = new THREE.Mesh(
+				new THREE.BufferGeometry(),
+				chunkMaterials
 			);
-			if (value > resource.scarcity) {
-				this.setBlockId(x, y, z, resource.id);
-				return;
-			}
-		});
-	}
-
-	/**
-	 * Populate the world with trees
-	 */
-	generateTree(rng, biome, x, y, z) {
-		const minH = this.params.trees.trunk.minHeight;
-		const maxH = this.params.trees.trunk.maxHeight;
-		const h = Math.round(minH + (maxH - minH) * rng.random());
-
-		// Search for the grass block which indicates the top of the terrain
-		for (let treeY = 0; treeY < y + h; treeY++) {
-			if (biome === "Temperate" || biome === "Tundra") {
-				this.setBlockId(x, treeY, z, blocks.tree.id);
-			} else if (biome === "Jungle") {
-				this.setBlockId(x, treeY, z, blocks.jungleTree.id);
-			} else if (biome === "Desert") {
-				this.setBlockId(x, treeY, z, blocks.cactus.id);
-			}
+			this.transparentMesh.receiveShadow = true;
+			this.add(this.transparentMesh);
 		}
 
-		if (biome === "Temperate" || biome === "Jungle") {
-			// Generate canopy centered on the top of the tree
-			this.generateTreeCanopy(biome, x, y + h, z, rng);
-		}
-	}
-
-	generateTreeCanopy(biome, centerX, centerY, centerZ, rng) {
-		const minR = this.params.trees.canopy.minRadius;
-		const maxR = this.params.trees.canopy.maxRadius;
-		const r = Math.round(minR + (maxR - minR) * rng.random());
-
-		for (let x = -r; x <= r; x++) {
-			for (let y = -r; y <= r; y++) {
-				for (let z = -r; z <= r; z++) {
-					const n = rng.random();
-					// Make sure the block is within the canopy radius
-					if (x * x + y * y + z * z > r * r) continue;
-					// Don't overwrite an existing block
-					const block = this.getBlock(centerX + x, centerY + y, centerZ + z);
-					if (block && block.id !== blocks.empty.id) continue;
-					if (n < this.params.trees.canopy.density) {
-						if (biome === "Temperate") {
-							this.setBlockId(
-								centerX + x,
-								centerY + y,
-								centerZ + z,
-								blocks.leaves.id
-							);
-						} else if (biome === "Jungle") {
-							this.setBlockId(
-								centerX + x,
-								centerY + y,
-								centerZ + z,
-								blocks.jungleLeaves.id
-							);
-						}
-					}
+		const world = this.parent;
+		const buffers = buildChunkMesh(
+			this.size,
+			(x, y, z) => {
+				if (this.inBounds(x, y, z)) {
+					return this.data.getBlockId(x, y, z);
 				}
-			}
-		}
-	}
-
-	/**
-	 * Creates happy little cloud
-	 * @param {RNG} rng
-	 */
-	generateClouds(rng) {
-		const simplex = new SimplexNoise(rng);
-		for (let x = 0; x < this.size.width; x++) {
-			for (let z = 0; z < this.size.width; z++) {
-				const value =
-					(simplex.noise(
-						(this.position.x + x) / this.params.clouds.scale,
-						(this.position.z + z) / this.params.clouds.scale
-					) +
-						1) *
-					0.5;
-
-				if (value < this.params.clouds.density) {
-					this.setBlockId(x, this.size.height - 1, z, blocks.cloud.id);
-				}
-			}
-		}
-	}
-
-	/**
-	 * Pulls any changes from the data store and applies them to the data model
-	 */
-	loadPlayerChanges() {
-		for (let x = 0; x < this.size.width; x++) {
-			for (let y = 0; y < this.size.height; y++) {
-				for (let z = 0; z < this.size.width; z++) {
-					if (
-						this.dataStore.contains(this.position.x, this.position.z, x, y, z)
-					) {
-						const blockId = this.dataStore.get(
-							this.position.x,
-							this.position.z,
-							x,
-							y,
-							z
-						);
-						this.setBlockId(x, y, z, blockId);
-					}
+				const block = world?.getBlock(
+					this.position.x + x,
+					this.position.y + y,
+					this.position.z + z
+				);
+				return block?.id ?? blocks.empty.id;
+			},
+			(x, y, z) => this.data.getBlockState(x, y, z),
+			(x, y, z) => {
+				// Sections in the sky have no light of their own
+				if (this.data.light && this.inBounds(x, y, z)) {
+					return this.data.getLight(x, y, z);
 				}
+				const light = world?.lighting.getLight(
+					this.position.x + x,
+					this.position.y + y,
+					this.position.z + z
+				);
+				return light ?? packLight(MAX_LIGHT, 0);
 			}
-		}
-	}
-
-	generateWater() {
-		const material = new THREE.MeshLambertMaterial({
-			color: 0x9090e0,
-			transparent: true,
-			opacity: 0.5,
-			side: THREE.DoubleSide,
-		});
-
-		const waterMesh = new THREE.Mesh(new THREE.PlaneGeometry(), material);
-		waterMesh.rotateX(-Math.PI / 2.0);
-		waterMesh.position.set(
-			this.size.width / 2,
-			this.params.terrain.waterOffset + 0.4,
-			this.size.width / 2
 		);
-		waterMesh.scale.set(this.size.width, this.size.width, 1);
-		waterMesh.layers.set(1);
 
-		this.add(waterMesh);
+		this.mesh.geometry.dispose();
+		this.mesh.geometry = createGeometry(buffers.solid);
+		this.transparentMesh.geometry.dispose();
+		this.transparentMesh.geometry = createGeometry(buffers.transparent);
 	}
 
-	/**
-	 * Generates the 3D representation of the world from the world data
-	 */
-	generateMeshes() {
-		this.clear();
-
-		this.generateWater();
-
-		const maxCount = this.size.width * this.size.width * this.size.height;
-
-		// Creating a lookup table where the key is the block id
-		const meshes = {};
-		Object.values(blocks)
-			.filter((blockType) => blockType.id !== blocks.empty.id)
-			.forEach((blockType) => {
-				const mesh = new THREE.InstancedMesh(
-					geometry,
-					blockType.material,
-					maxCount
-				);
-				mesh.name = blockType.id;
-				mesh.castShadow = true;
-				mesh.receiveShadow = true;
-				mesh.count = 0;
-				meshes[blockType.id] = mesh;
-			});
-
-		const matrix = new THREE.Matrix4();
-		for (let x = 0; x < this.size.width; x++) {
-			for (let y = 0; y < this.size.height; y++) {
-				for (let z = 0; z < this.size.width; z++) {
-					const blockId = this.getBlock(x, y, z).id;
-
-					if (blockId === blocks.empty.id) continue;
-
-					const mesh = meshes[blockId];
-					const instanceId = mesh.count;
-
-					if (!this.isBlockObscured(x, y, z)) {
-						matrix.setPosition(x, y, z);
-						mesh.setMatrixAt(instanceId, matrix);
-						this.setBlockInstanceId(x, y, z, instanceId);
-						mesh.count++;
-					}
-				}
-			}
-		}
-		this.add(...Object.values(meshes));
-	}
 	/**
 	 * Gets the block data at (x, y, z)
 	 * @param {number} x
 	 * @param {number} y
 	 * @param {number} z
-	 * @return {{id:number, instanceId: number}}
+	 * @return {{id:number, state: number} | null}
 	 */
 	getBlock(x, y, z) {
-		if (this.inBounds(x, y, z)) {
-			return this.data[x][y][z];
-		} else {
-			return null;
-		}
+		return this.data.getBlock(x, y, z);
 	}
 
 	/**
-	 * Adds a new block at (x, y, z) of type `blockId`
+	 * Adds a new block at (x, y, z) of type `blockId`. Fluids are replaced
+	 * by the new block. The caller is responsible for updating the mesh
 	 * @param {number} x
 	 * @param {number} y
 	 * @param {number} z
 	 * @param {number} blockId
+	 * @returns {boolean} False if there was already a block there
 	 */
 	addBlock(x, y, z, blockId) {
-		// Safety check that we aren't adding a block for one that
-		// already has an instance
-		if (this.getBlock(x, y, z).id === blocks.empty.id) {
+		// Safety check that we aren't replacing an existing block
+		const id = this.getBlock(x, y, z).id;
+		if (id === blocks.empty.id || isFluid(id)) {
 			this.setBlockId(x, y, z, blockId);
-			this.addBlockInstance(x, y, z);
-			this.dataStore.set(this.position.x, this.position.z, x, y, z, blockId);
+			this.setBlockState(x, y, z, 0);
+			this.dataStore.set(
+				this.userData.x,
+				this.userData.y,
+				this.userData.z,
+				x,
+				y,
+				z,
+				blockId
+			);
+			return true;
 		}
+		return false;
 	}
 
 	/**
-	 * Removes the block at (x, y, z)
+	 * Removes the block at (x, y, z). The caller is responsible for
+	 * updating the mesh
 	 * @param {number} x
 	 * @param {number} y
 	 * @param {number} z
+	 * @returns {boolean} False if there was no block there
 	 */
 	removeBlock(x, y, z) {
 		const block = this.getBlock(x, y, z);
 		if (block && block.id !== blocks.empty.id) {
-			console.log(`Removing block at (${x}, ${y}, ${z})`);
-			this.deleteBlockInstance(x, y, z);
 			this.setBlockId(x, y, z, blocks.empty.id);
+			this.setBlockState(x, y, z, 0);
 			this.dataStore.set(
-				this.position.x,
-				this.position.z,
+				this.userData.x,
+				this.userData.y,
+				this.userData.z,
 				x,
 				y,
 				z,
 				blocks.empty.id
 			);
+			return true;
 		}
-	}
-
-	/**
-	 * Removes the mesh instance associated with `block` by swapping it
-	 * with the last instance and decrementing the instance count
-	 * @param {number} x
-	 * @param {number} y
-	 * @param {number} z
-	 */
-	deleteBlockInstance(x, y, z) {
-		const block = this.getBlock(x, y, z);
-
-		if (block.id === blocks.empty.id || !block.instanceId) return;
-		// Get the mesh and instance id of the block
-		const mesh = this.children.find(
-			(instanceMesh) => instanceMesh.name === block.id
-		);
-		const instanceId = block.instanceId;
-
-		// Swapping the transformation matrix of the block in the last position
-		// with the block that we are going to remove
-		const lastMatrix = new THREE.Matrix4();
-		mesh.getMatrixAt(mesh.count - 1, lastMatrix);
-
-		const v = new THREE.Vector3();
-		v.applyMatrix4(lastMatrix);
-		this.setBlockInstanceId(v.x, v.y, v.z, instanceId);
-
-		// Swapping the transformation matrices
-		mesh.setMatrixAt(instanceId, lastMatrix);
-
-		// This effectively removes the last instance from the scene
-		mesh.count--;
-
-		mesh.instanceMatrix.needsUpdate = true;
-		mesh.computeBoundingSphere();
-
-		// Remove the instance associated with the block
-		this.setBlockInstanceId(x, y, z, undefined);
-	}
-
-	/**
-	 * @param {number} x
-	 * @param {number} y
-	 * @param {number} z
-	 */
-	addBlockInstance(x, y, z) {
-		const block = this.getBlock(x, y, z);
-
-		// Verify the block exists and is not an empty block type
-		// If this block is non-empty and does not already have an instance, create a new one
-		if (block && block.id !== blocks.empty.id && !block.instanceId) {
-			// Get the mesh and instance id of the block
-			const mesh = this.children.find(
-				(instanceMesh) => instanceMesh.name === block.id
-			);
-			const instanceId = mesh.count++;
-			this.setBlockInstanceId(x, y, z, instanceId);
-
-			// Compute the transformation matrix for the new instance and update the instanced mesh
-			const matrix = new THREE.Matrix4();
-			matrix.setPosition(x, y, z);
-			mesh.setMatrixAt(instanceId, matrix);
-			mesh.instanceMatrix.needsUpdate = true;
-			mesh.computeBoundingSphere();
-		}
+		return false;
 	}
 
 	/**
@@ -476,22 +217,18 @@ export class WorldChunk extends THREE.Group {
 	 * @param {number} id
 	 */
 	setBlockId(x, y, z, id) {
-		if (this.inBounds(x, y, z)) {
-			this.data[x][y][z].id = id;
-		}
+		this.data.setBlockId(x, y, z, id);
 	}
 
 	/**
-	 * Sets the block instance id for the block at (x, y, z)
+	 * Sets the extra state of the block at (x, y, z)
 	 * @param {number} x
 	 * @param {number} y
 	 * @param {number} z
-	 * @param {number} instanceId
+	 * @param {number} state
 	 */
-	setBlockInstanceId(x, y, z, instanceId) {
-		if (this.inBounds(x, y, z)) {
-			this.data[x][y][z].instanceId = instanceId;
-		}
+	setBlockState(x, y, z, state) {
+		this.data.setBlockState(x, y, z, state);
 	}
 
 	/**
@@ -502,54 +239,55 @@ export class WorldChunk extends THREE.Group {
 	 * @return {boolean}
 	 */
 	inBounds(x, y, z) {
-		if (
-			x >= 0 &&
-			x < this.size.width &&
-			y >= 0 &&
-			y < this.size.height &&
-			z >= 0 &&
-			z < this.size.width
-		) {
-			return true;
-		} else {
-			return false;
-		}
+		return this.data.inBounds(x, y, z);
 	}
 
 	/**
-	 * Returns true if this block is completely hidden by other blocks
-	 * @param {number} x
-	 * @param {number} y
-	 * @param {number} z
-	 * @returns {boolean}
+	 * Frees the GPU resources of the chunk meshes. The block materials are
+	 * shared between chunks so they are left alone
 	 */
-	isBlockObscured(x, y, z) {
-		const up = this.getBlock(x, y + 1, z)?.id ?? blocks.empty.id;
-		const down = this.getBlock(x, y - 1, z)?.id ?? blocks.empty.id;
-		const left = this.getBlock(x + 1, y, z)?.id ?? blocks.empty.id;
-		const right = this.getBlock(x - 1, y, z)?.id ?? blocks.empty.id;
-		const forward = this.getBlock(x, y, z + 1)?.id ?? blocks.empty.id;
-		const back = this.getBlock(x, y, z - 1)?.id ?? blocks.empty.id;
-
-		// If any of the block's sides is exposed, it is not obscured
-		if (
-			up === blocks.empty.id ||
-			down === blocks.empty.id ||
-			left === blocks.empty.id ||
-			right === blocks.empty.id ||
-			forward === blocks.empty.id ||
-			back === blocks.empty.id
-		) {
-			return false;
-		} else {
-			return true;
-		}
-	}
-
-	disposeInstances() {
+	disposeMeshes() {
 		this.traverse((obj) => {
-			if (obj.dispose) obj.dispose();
+			if (obj.geometry) obj.geometry.dispose();
 		});
+		this.mesh = null;
+		this.transparentMesh = null;
 		this.clear();
 	}
+
+	/**
+	 * Cancels any pending generation and frees the chunk meshes
+	 */
+	dispose() {
+		this.abortController?.abort();
+		this.disposeMeshes();
+	}
+}
+
+/**
+ * @param {import("./chunkMesher").MeshBuffers} buffers
+ * @returns {THREE.BufferGeometry}
+ */
+function createGeometry(buffers) {
+	const geometry = new THREE.BufferGeometry();
+	geometry.setAttribute(
+		"position",
+		new THREE.BufferAttribute(buffers.positions, 3)
+	);
+	geometry.setAttribute(
+		"normal",
+		new THREE.BufferAttribute(buffers.normals, 3)
+	);
+	geometry.setAttribute("uv", new THREE.BufferAttribute(buffers.uvs, 2));
+	geometry.setAttribute("tile", new THREE.BufferAttribute(buffers.tiles, 1));
+	geometry.setAttribute("light", new THREE.BufferAttribute(buffers.lights, 2));
+	geometry.setAttribute(
+		"occlusion",
+		new THREE.BufferAttribute(buffers.occlusion, 1)
+	);
+	geometry.setIndex(new THREE.BufferAttribute(buffers.indices, 1));
+	for (const group of buffers.groups) {
+		geometry.addGroup(group.start, group.count, group.materialIndex);
+	}
+	return geometry;
 }
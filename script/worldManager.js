@@ -0,0 +1,186 @@
+const DB_NAME = "minecraft";
+const DB_VERSION = 1;
+const STORE_NAME = "worlds";
+
+/**
+ * @typedef {{
+ *  name: string,
+ *  seed: number,
+ *  created: number,
+ *  modified: number,
+ *  thumbnail: string | null,
+ *  player: {position: {x: number, y: number, z: number}} | null,
+ *  data: Uint8Array | null
+ * }} WorldSlot
+ * A named save slot. `data` is a binary save written by `encodeSave()`, or
+ * null if the world has never been saved. `thumbnail` is an image data URL
+ */
+
+/**
+ * Stores named world save slots in IndexedDB
+ */
+export class WorldManager {
+	/**
+	 * @type {Promise<IDBDatabase> | null}
+	 */
+	#db = null;
+
+	/**
+	 * Lists the save slots, most recently modified first. The save data is
+	 * left out so listing stays cheap
+	 * @returns {Promise<Omit<WorldSlot, "data">[]>}
+	 */
+	async list() {
+		const slots = await this.#run("readonly", (store) => store.getAll());
+		return slots
+			.map(({ data, ...slot }) => slot)
+			.sort((a, b) => b.modified - a.modified);
+	}
+
+	/**
+	 * Returns the slot called `name`
+	 * @param {string} name
+	 * @returns {Promise<WorldSlot>}
+	 */
+	async get(name) {
+		const slot = await this.#run("readonly", (store) => store.get(name));
+		if (!slot) {
+			throw new Error(`There is no saved world called "${name}"`);
+		}
+		return slot;
+	}
+
+	/**
+	 * Creates a new, empty slot
+	 * @param {string} name
+	 * @param {number} seed
+	 * @returns {Promise<WorldSlot>}
+	 */
+	async create(name, seed) {
+		const now = Date.now();
+		const slot = {
+			name,
+			seed,
+			created: now,
+			modified: now,
+			thumbnail: null,
+			player: null,
+			data: null,
+		};
+		await this.#run("readwrite", (store) => store.add(slot), name);
+		return slot;
+	}
+
+	/**
+	 * Writes the world into the slot called `name`, creating it if needed
+	 * @param {string} name
+	 * @param {{
+	 *  seed: number,
+	 *  data: Uint8Array,
+	 *  thumbnail?: string | null,
+	 *  player?: {position: {x: number, y: number, z: number}} | null
+	 * }} world
+	 * @returns {Promise<WorldSlot>}
+	 */
+	async save(name, { seed, data, thumbnail = null, player = null }) {
+		const existing = await this.#run("readonly", (store) => store.get(name));
+		const now = Date.now();
+		const slot = {
+			name,
+			seed,
+			created: existing?.created ?? now,
+			modified: now,
+			thumbnail,
+			player,
+			data,
+		};
+		await this.#run("readwrite", (store) => store.put(slot));
+		return slot;
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {string} newName
+	 * @returns {Promise<void>}
+	 */
+	async rename(name, newName) {
+		if (name === newName) return;
+		const slot = await this.get(name);
+		await this.#run(
+			"readwrite",
+			(store) => {
+				store.delete(name);
+				return store.add({ ...slot, name: newName });
+			},
+			newName
+		);
+	}
+
+	/**
+	 * Copies the slot called `name` into a new slot called `newName`
+	 * @param {string} name
+	 * @param {string} newName
+	 * @returns {Promise<WorldSlot>}
+	 */
+	async duplicate(name, newName) {
+		const slot = await this.get(name);
+		const now = Date.now();
+		const copy = { ...slot, name: newName, created: now, modified: now };
+		await this.#run("readwrite", (store) => store.add(copy), newName);
+		return copy;
+	}
+
+	/**
+	 * @param {string} name
+	 * @returns {Promise<void>}
+	 */
+	async delete(name) {
+		await this.get(name);
+		await this.#run("readwrite", (store) => store.delete(name));
+	}
+
+	/**
+	 * @returns {Promise<IDBDatabase>}
+	 */
+	#open() {
+		if (!this.#db) {
+			this.#db = new Promise((resolve, reject) => {
+				const request = indexedDB.open(DB_NAME, DB_VERSION);
+				request.onupgradeneeded = () => {
+					request.result.createObjectStore(STORE_NAME, { keyPath: "name" });
+				};
+				request.onsuccess = () => resolve(request.result);
+				request.onerror = () =>
+					reject(
+						new Error(`Could not open the world database: ${request.error}`)
+					);
+			});
+		}
+		return this.#db;
+	}
+
+	/**
+	 * Runs `operation` in a transaction on the worlds store and resolves with
+	 * the result of the request it returns once the transaction completes
+	 * @param {IDBTransactionMode} mode
+	 * @param {(store: IDBObjectStore) => IDBRequest} operation
+	 * @param {string} [newName] Name of a slot being created, used to give a
+	 * readable error if it already exists
+	 * @returns {Promise<any>}
+	 */
+	async #run(mode, operation, newName) {
+		const db = await this.#open();
+		return new Promise((resolve, reject) => {
+			const transaction = db.transaction(STORE_NAME, mode);
+			const request = operation(transaction.objectStore(STORE_NAME));
+			transaction.oncomplete = () => resolve(request.result);
+			transaction.onabort = () => {
+				if (transaction.error?.name === "ConstraintError") {
+					reject(new Error(`A world called "${newName}" already exists`));
+				} else {
+					reject(transaction.error);
+				}
+			};
+		});
+	}
+}
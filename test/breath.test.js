@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { Breath } from "../script/breath.js";
+
+describe("Breath", () => {
+	test("runs out after the full breath is used up underwater", () => {
+		const breath = new Breath();
+		for (let i = 0; i < 9; i++) {
+			assert.equal(breath.update(1, true), false);
+		}
+		assert.equal(breath.fraction, 0.1);
+		assert.equal(breath.update(1, true), true);
+		assert.equal(breath.left, 0);
+		// Stays out of breath until the player is out of the water
+		assert.equal(breath.update(1, true), true);
+		assert.equal(breath.left, 0);
+	});
+
+	test("isn't out of breath with none left above water", () => {
+		const breath = new Breath();
+		breath.left = 0;
+		assert.equal(breath.update(0, false), false);
+	});
+
+	test("comes back faster than it is used up", () => {
+		const breath = new Breath();
+		breath.update(5, true);
+		breath.update(0.5, false);
+		assert.equal(breath.left, 7.5);
+		breath.update(10, false);
+		assert.equal(breath.left, breath.max);
+	});
+
+	test("refills after running out", () => {
+		const breath = new Breath();
+		assert.equal(breath.update(20, true), true);
+		breath.refill();
+		assert.equal(breath.fraction, 1);
+		assert.equal(breath.update(1, true), false);
+	});
+});
@@ -0,0 +1,159 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+import { blocks } from "../script/blocks.js";
+import { moveBox } from "../script/collision.js";
+
+const HEIGHT = 1.75;
+const HALF_WIDTH = 0.3;
+
+/**
+ * @type {Map<string, number>}
+ */
+let world;
+
+function setBlock(x, y, z, blockId) {
+	world.set(`${x},${y},${z}`, blockId);
+}
+
+function getBlockId(x, y, z) {
+	return world.get(`${x},${y},${z}`) ?? blocks.empty.id;
+}
+
+/**
+ * Returns the box of a player standing with their feet at (x, y, z)
+ */
+function playerBox(x, y, z) {
+	return {
+		min: [x - HALF_WIDTH, y, z - HALF_WIDTH],
+		max: [x + HALF_WIDTH, y + HEIGHT, z + HALF_WIDTH],
+	};
+}
+
+function assertMovement(actual, expected) {
+	expected.forEach((distance, axis) => {
+		assert.ok(
+			Math.abs(actual[axis] - distance) < 1e-6,
+			`expected ${expected} but moved ${actual}`
+		);
+	});
+}
+
+describe("moveBox", () => {
+	// A floor of stone at y = 0, so its top is at y = 0.5
+	beforeEach(() => {
+		world = new Map();
+		for (let x = -8; x <= 8; x++) {
+			for (let z = -8; z <= 8; z++) {
+				setBlock(x, 0, z, blocks.stone.id);
+			}
+		}
+	});
+
+	test("lands on the ground", () => {
+		const result = moveBox(playerBox(0, 1, 0), [0, -1, 0], getBlockId);
+		assertMovement(result.movement, [0, -0.5, 0]);
+		assert.deepEqual(result.collided, [false, true, false]);
+		assert.equal(result.onGround, true);
+	});
+
+	test("doesn't tunnel through the ground when falling fast", () => {
+		const result = moveBox(playerBox(0, 5, 0), [0, -100, 0], getBlockId);
+		assertMovement(result.movement, [0, -4.5, 0]);
+		assert.equal(result.onGround, true);
+	});
+
+	test("falls freely with nothing below", () => {
+		const result = moveBox(playerBox(0, 5, 0), [0, -1, 0], getBlockId);
+		assertMovement(result.movement, [0, -1, 0]);
+		assert.equal(result.onGround, false);
+	});
+
+	test("steps up onto a slab", () => {
+		setBlock(-3, 1, 0, blocks.slab.id);
+		const result = moveBox(
+			playerBox(-2, 0.5, 0),
+			[-0.5, -0.01, 0],
+			getBlockId,
+			{
+				stepHeight: 0.6,
+				onGround: true,
+			}
+		);
+		assertMovement(result.movement, [-0.5, 0.5, 0]);
+		assert.equal(result.onGround, true);
+	});
+
+	test("doesn't step up higher than the step height", () => {
+		setBlock(-3, 1, 0, blocks.slab.id);
+		const result = moveBox(
+			playerBox(-2, 0.5, 0),
+			[-0.5, -0.01, 0],
+			getBlockId,
+			{
+				stepHeight: 0.4,
+				onGround: true,
+			}
+		);
+		// Stops against the side of the slab at x = -2.5
+		assertMovement(result.movement, [-0.2, 0, 0]);
+		assert.equal(result.collided[0], true);
+	});
+
+	test("is stopped by a full wall", () => {
+		setBlock(3, 1, 0, blocks.stone.id);
+		setBlock(3, 2, 0, blocks.stone.id);
+		const result = moveBox(playerBox(0, 0.5, 0), [50, -0.01, 0], getBlockId, {
+			stepHeight: 0.6,
+			onGround: true,
+		});
+		assertMovement(result.movement, [2.2, 0, 0]);
+		assert.deepEqual(result.collided, [true, true, false]);
+	});
+
+	test("slides along a wall when moving diagonally into it", () => {
+		setBlock(3, 1, 0, blocks.stone.id);
+		setBlock(3, 2, 0, blocks.stone.id);
+		const result = moveBox(playerBox(2, 0.5, 0), [1, 0, 1], getBlockId);
+		assertMovement(result.movement, [0.2, 0, 1]);
+	});
+
+	test("is stopped by the fence collider above the fence post", () => {
+		setBlock(0, 1, 3, blocks.fence.id);
+		// The collider goes from y = 0.5 to y = 2, above the post's top at 1.5
+		const blocked = moveBox(playerBox(0, 1.8, 1), [0, 0, 5], getBlockId);
+		assertMovement(blocked.movement, [0, 0, 2.875 - 1.3]);
+
+		const above = moveBox(playerBox(0, 2, 1), [0, 0, 5], getBlockId);
+		assertMovement(above.movement, [0, 0, 5]);
+	});
+
+	test("passes beside a fence post", () => {
+		setBlock(0, 1, 3, blocks.fence.id);
+		const result = moveBox(playerBox(0.6, 0.5, 1), [0, 0, 5], getBlockId);
+		assertMovement(result.movement, [0, 0, 5]);
+	});
+
+	test("hits a ceiling when jumping", () => {
+		// The bottom of the block at y = 3 is at y = 2.5
+		setBlock(0, 3, 0, blocks.stone.id);
+		const result = moveBox(playerBox(0, 0.5, 0), [0, 1, 0], getBlockId);
+		assertMovement(result.movement, [0, 0.25, 0]);
+		assert.deepEqual(result.collided, [false, true, false]);
+		assert.equal(result.onGround, false);
+	});
+
+	test("doesn't step up into a low ceiling", () => {
+		setBlock(-3, 1, 0, blocks.slab.id);
+		setBlock(-2, 3, 0, blocks.stone.id);
+		const result = moveBox(
+			playerBox(-2, 0.5, 0),
+			[-0.5, -0.01, 0],
+			getBlockId,
+			{
+				stepHeight: 0.6,
+				onGround: true,
+			}
+		);
+		assertMovement(result.movement, [-0.2, 0, 0]);
+	});
+});
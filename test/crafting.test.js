@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, test } from "node:test";
+import { blocks } from "../script/blocks.js";
+import { RecipeBook } from "../script/crafting.js";
+import { tools } from "../script/tools.js";
+
+const recipes = JSON.parse(
+	readFileSync(new URL("../script/recipes.json", import.meta.url), "utf8")
+);
+const book = new RecipeBook(recipes);
+
+const _ = blocks.empty.id;
+const stone = blocks.stone.id;
+const planks = blocks.planks.id;
+
+describe("RecipeBook", () => {
+	// The axe's pattern is "##", "#/", " /"
+	test("finds a shaped recipe anywhere in the grid", () => {
+		// prettier-ignore
+		const grid = [
+			stone, stone, _,
+			stone, planks, _,
+			_, planks, _,
+		];
+		assert.equal(book.find(grid, 3).result.id, tools.axe.id);
+
+		// prettier-ignore
+		const shifted = [
+			_, stone, stone,
+			_, stone, planks,
+			_, _, planks,
+		];
+		assert.equal(book.find(shifted, 3).result.id, tools.axe.id);
+	});
+
+	test("finds the mirrored form of a shaped recipe", () => {
+		// prettier-ignore
+		const mirrored = [
+			stone, stone, _,
+			planks, stone, _,
+			planks, _, _,
+		];
+		assert.equal(book.find(mirrored, 3).result.id, tools.axe.id);
+
+		// Upside down isn't a mirror image
+		// prettier-ignore
+		const flipped = [
+			_, planks, _,
+			stone, planks, _,
+			stone, stone, _,
+		];
+		assert.equal(book.find(flipped, 3), null);
+	});
+
+	test("finds a shapeless recipe in any cells", () => {
+		const grid = [_, blocks.coalOre.id, blocks.sand.id, _];
+		const recipe = book.find(grid, 2);
+		assert.deepEqual(recipe.result, { id: blocks.glass.id, count: 2 });
+
+		const swapped = [blocks.sand.id, _, _, blocks.coalOre.id];
+		assert.equal(book.find(swapped, 2), recipe);
+	});
+
+	test("returns null for a grid that matches nothing", () => {
+		assert.equal(book.find([stone, planks, planks, stone], 2), null);
+		assert.equal(book.find([_, _, _, _], 2), null);
+		// A shapeless recipe needs exactly its ingredients
+		const extra = [blocks.tree.id, blocks.tree.id, _, _];
+		assert.equal(book.find(extra, 2), null);
+	});
+});
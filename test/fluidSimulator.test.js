@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+import { blocks } from "../script/blocks.js";
+import { FluidSimulator } from "../script/fluidSimulator.js";
+
+/**
+ * @type {Map<string, {id: number, state: number}>}
+ */
+let blockMap;
+let fluids;
+
+const world = {
+	getBlock(x, y, z) {
+		return blockMap.get(`${x},${y},${z}`) ?? { id: blocks.empty.id, state: 0 };
+	},
+	setBlock(x, y, z, id, state = 0) {
+		blockMap.set(`${x},${y},${z}`, { id, state });
+	},
+};
+
+/**
+ * Places or removes a block the way `World` does when the player changes
+ * it, and runs the simulation until the fluid settles
+ */
+function changeBlock(x, y, z, id) {
+	world.setBlock(x, y, z, id);
+	fluids.scheduleAround(x, y, z);
+	for (let i = 0; i < 100 && fluids.pending > 0; i++) {
+		fluids.update(fluids.tickInterval);
+	}
+}
+
+describe("FluidSimulator", () => {
+	// A stone floor at y = 0
+	beforeEach(() => {
+		blockMap = new Map();
+		for (let x = -10; x <= 10; x++) {
+			for (let z = -10; z <= 10; z++) {
+				world.setBlock(x, 0, z, blocks.stone.id);
+			}
+		}
+		fluids = new FluidSimulator(world);
+	});
+
+	test("placed water spreads over the floor", () => {
+		changeBlock(0, 1, 0, blocks.water.id);
+		assert.deepEqual(world.getBlock(0, 1, 0), {
+			id: blocks.water.id,
+			state: 0,
+		});
+		assert.deepEqual(world.getBlock(2, 1, 0), {
+			id: blocks.water.id,
+			state: 2,
+		});
+		assert.equal(world.getBlock(8, 1, 0).id, blocks.empty.id);
+	});
+
+	test("the water around a source drains when it is picked up", () => {
+		changeBlock(0, 1, 0, blocks.water.id);
+		changeBlock(0, 1, 0, blocks.empty.id);
+		for (let x = -8; x <= 8; x++) {
+			assert.equal(world.getBlock(x, 1, 0).id, blocks.empty.id);
+		}
+	});
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+import { blocks } from "../script/blocks.js";
+import { ChunkData } from "../script/chunkData.js";
+import {
+	LightEngine,
+	MAX_LIGHT,
+	getBlockLight,
+	getSunlight,
+} from "../script/lighting.js";
+
+const size = { width: 4, height: 4 };
+
+/**
+ * @type {Map<string, {loaded: boolean, data: ChunkData}>}
+ */
+let chunks;
+let lighting;
+
+function getChunk(x, y, z) {
+	return chunks.get(`${x},${y},${z}`);
+}
+
+function setBlock(x, y, z, blockId) {
+	const { data } = getChunk(
+		Math.floor(x / size.width),
+		Math.floor(y / size.height),
+		Math.floor(z / size.width)
+	);
+	data.setBlockId(x % size.width, y % size.height, z % size.width, blockId);
+}
+
+describe("LightEngine", () => {
+	// A single chunk column four sections high, with a stone floor at y = 0
+	beforeEach(() => {
+		chunks = new Map();
+		for (let y = 0; y < 4; y++) {
+			chunks.set(`0,${y},0`, { loaded: true, data: new ChunkData(size) });
+		}
+		for (let x = 0; x < size.width; x++) {
+			for (let z = 0; z < size.width; z++) {
+				setBlock(x, 0, z, blocks.stone.id);
+			}
+		}
+		lighting = new LightEngine({
+			chunkSize: size,
+			worldHeight: 16,
+			getChunk,
+		});
+	});
+
+	test("doesn't store light in the sections above the ground", () => {
+		lighting.lightColumn(0, 0);
+		assert.notEqual(getChunk(0, 0, 0).data.light, null);
+		for (let y = 1; y < 4; y++) {
+			assert.equal(getChunk(0, y, 0).data.light, null);
+		}
+		assert.equal(getSunlight(lighting.getLight(1, 12, 1)), MAX_LIGHT);
+		assert.equal(getSunlight(lighting.getLight(1, 1, 1)), MAX_LIGHT);
+		assert.equal(getSunlight(lighting.getLight(1, 0, 1)), 0);
+	});
+
+	test("shades the sky below a block placed in it", () => {
+		lighting.lightColumn(0, 0);
+		setBlock(1, 13, 1, blocks.stone.id);
+		lighting.update(1, 13, 1);
+		assert.equal(getSunlight(lighting.getLight(1, 14, 1)), MAX_LIGHT);
+		assert.equal(getSunlight(lighting.getLight(1, 12, 1)), MAX_LIGHT - 1);
+		assert.equal(getSunlight(lighting.getLight(2, 12, 1)), MAX_LIGHT);
+	});
+
+	test("keeps the sunlight of a sky section lit by a lantern", () => {
+		setBlock(1, 9, 1, blocks.lantern.id);
+		lighting.lightColumn(0, 0);
+		assert.ok(getBlockLight(lighting.getLight(1, 9, 1)) > 0);
+		assert.equal(getSunlight(lighting.getLight(2, 9, 2)), MAX_LIGHT);
+	});
+});
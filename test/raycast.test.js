@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+import { blocks, isSolid } from "../script/blocks.js";
+import { isFluidSource } from "../script/fluidSimulator.js";
+import { raycastBlocks } from "../script/raycast.js";
+
+/**
+ * @type {Map<string, {id: number, state: number}>}
+ */
+let world;
+
+function setBlock(x, y, z, id, state = 0) {
+	world.set(`${x},${y},${z}`, { id, state });
+}
+
+/**
+ * Same targets as `World.raycast()`
+ */
+function isTarget(fluids) {
+	return (x, y, z) => {
+		const block = world.get(`${x},${y},${z}`);
+		if (!block) return false;
+		return isSolid(block.id) || (fluids && isFluidSource(block));
+	};
+}
+
+describe("raycastBlocks", () => {
+	beforeEach(() => {
+		world = new Map();
+		setBlock(5, 0, 0, blocks.stone.id);
+	});
+
+	test("hits the first solid block and the face it entered", () => {
+		const hit = raycastBlocks([0, 0, 0], [1, 0, 0], 10, isTarget(false));
+		assert.deepEqual(hit, { coords: [5, 0, 0], normal: [-1, 0, 0] });
+	});
+
+	test("misses blocks out of reach", () => {
+		assert.equal(raycastBlocks([0, 0, 0], [1, 0, 0], 4, isTarget(false)), null);
+	});
+
+	test("looks through water unless fluids are targeted", () => {
+		setBlock(3, 0, 0, blocks.water.id);
+		const solid = raycastBlocks([0, 0, 0], [1, 0, 0], 10, isTarget(false));
+		assert.deepEqual(solid.coords, [5, 0, 0]);
+
+		const fluid = raycastBlocks([0, 0, 0], [1, 0, 0], 10, isTarget(true));
+		assert.deepEqual(fluid, { coords: [3, 0, 0], normal: [-1, 0, 0] });
+	});
+
+	test("only targets fluid sources, not flowing fluid", () => {
+		setBlock(2, 0, 0, blocks.water.id, 3);
+		setBlock(3, 0, 0, blocks.water.id, 0);
+		const hit = raycastBlocks([0, 0, 0], [1, 0, 0], 10, isTarget(true));
+		assert.deepEqual(hit.coords, [3, 0, 0]);
+	});
+
+	test("hits blocks above and below", () => {
+		setBlock(0, -3, 0, blocks.dirt.id);
+		const hit = raycastBlocks([0, 0.2, 0], [0, -1, 0], 10, isTarget(false));
+		assert.deepEqual(hit, { coords: [0, -3, 0], normal: [0, 1, 0] });
+	});
+});
@@ -0,0 +1,249 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { DataStore } from "../script/dataStore.js";
+import {
+	SAVE_FORMAT_VERSION,
+	decodeSave,
+	encodeSave,
+	migrateLegacySave,
+} from "../script/saveFormat.js";
+
+const defaultParams = {
+	seed: 0,
+	terrain: { scale: 80, magnitude: 10, offset: 64, waterOffset: 62 },
+	biomes: { scale: 200, variation: { amplitude: 0.2, scale: 50 }, blend: 0.05 },
+	trees: { trunk: { minHeight: 5, maxHeight: 7 } },
+	caves: { breakSurface: true },
+};
+
+function encode(params) {
+	return encodeSave({
+		params,
+		chunkSize: { width: 32, height: 32 },
+		dataStore: new DataStore(),
+	});
+}
+
+/**
+ * Returns the changes in `dataStore` in a stable order, so two stores can
+ * be compared
+ * @param {DataStore} dataStore
+ */
+function sortedChanges(dataStore) {
+	return Object.entries(dataStore.toJSON())
+		.map(([chunk, changes]) => [chunk, changes.map(String).sort()])
+		.sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * Writes a save in the layout of an older format version, which
+ * `encodeSave()` can no longer write. Each chunk is given with its changes
+ * as [x, y, z, blockId] and is compressed with one run per block
+ * @param {number} version 1, 2 or 3
+ * @param {{
+ *  params: object,
+ *  chunkSize: {width: number, height: number},
+ *  player?: object | null,
+ *  chunks: {x: number, y: number, z: number, changes: number[][]}[]
+ * }} save
+ * @returns {Uint8Array}
+ */
+function encodeOldSave(version, { params, chunkSize, player = null, chunks }) {
+	const bytes = [];
+	const view = new DataView(new ArrayBuffer(8));
+	const write = (length, set, value) => {
+		set.call(view, 0, value, true);
+		bytes.push(...new Uint8Array(view.buffer, 0, length));
+	};
+	const writeString = (value) => {
+		const encoded = new TextEncoder().encode(value);
+		write(4, view.setUint32, encoded.length);
+		bytes.push(...encoded);
+	};
+
+	bytes.push(...new TextEncoder().encode("MCWS"));
+	write(2, view.setUint16, version);
+	write(8, view.setFloat64, params.seed);
+	write(2, view.setUint16, chunkSize.width);
+	write(2, view.setUint16, chunkSize.height);
+	writeString(JSON.stringify(params));
+	if (version >= 2) writeString(JSON.stringify(player));
+
+	// All of the chunks go into region (0, 0)
+	write(4, view.setUint32, 1);
+	write(4, view.setInt32, 0);
+	write(4, view.setInt32, 0);
+	write(2, view.setUint16, chunks.length);
+	for (const { x, y, z, changes } of chunks) {
+		bytes.push(x, z);
+		if (version >= 3) bytes.push(y);
+
+		// Palette index + 1 of every block, or 0 if it is unchanged
+		const { width, height } = chunkSize;
+		const palette = [...new Set(changes.map((change) => change[3]))];
+		const cells = new Array(width * width * height).fill(0);
+		for (const [bx, by, bz, blockId] of changes) {
+			cells[(by * width + bz) * width + bx] = palette.indexOf(blockId) + 1;
+		}
+		const chunk = [palette.length, ...palette];
+		for (const cell of cells) chunk.push(1, cell);
+		write(4, view.setUint32, chunk.length);
+		bytes.push(...chunk);
+	}
+	return new Uint8Array(bytes);
+}
+
+describe("encodeSave", () => {
+	test("round-trips changes spread over regions and sections", () => {
+		const dataStore = new DataStore();
+		dataStore.set(0, 0, 0, 0, 0, 0, 3);
+		dataStore.set(0, 0, 0, 31, 31, 31, 0);
+		dataStore.set(0, 3, 0, 5, 6, 7, 15);
+		dataStore.set(15, 7, 15, 1, 2, 3, 1);
+		dataStore.set(16, 0, 0, 4, 4, 4, 2);
+		dataStore.set(-1, 2, -17, 10, 20, 30, 17);
+		dataStore.set(-40, 1, 33, 8, 8, 8, 3);
+		const player = { position: { x: 1, y: 80, z: -2 }, gameMode: "creative" };
+		const environment = { time: 0.25 };
+
+		const bytes = encodeSave({
+			params: { ...defaultParams, seed: 7 },
+			chunkSize: { width: 32, height: 32 },
+			dataStore,
+			player,
+			environment,
+		});
+		const save = decodeSave(bytes, defaultParams);
+
+		assert.equal(save.version, SAVE_FORMAT_VERSION);
+		assert.equal(save.seed, 7);
+		assert.deepEqual(save.params, { ...defaultParams, seed: 7 });
+		assert.deepEqual(save.chunkSize, { width: 32, height: 32 });
+		assert.deepEqual(save.player, player);
+		assert.deepEqual(save.environment, environment);
+		assert.deepEqual(sortedChanges(save.dataStore), sortedChanges(dataStore));
+	});
+
+	test("round-trips a world without changes or player state", () => {
+		const save = decodeSave(encode({ seed: 3, terrain: {} }));
+		assert.equal(save.dataStore.size, 0);
+		assert.equal(save.player, null);
+		assert.equal(save.environment, null);
+	});
+});
+
+describe("decodeSave", () => {
+	const chunkSize = { width: 2, height: 2 };
+	const params = { seed: 9, terrain: { scale: 80 } };
+	const chunks = [
+		{ x: 0, y: 0, z: 0, changes: [[1, 0, 1, 3]] },
+		{
+			x: 3,
+			y: 2,
+			z: 1,
+			changes: [
+				[0, 1, 0, 15],
+				[1, 1, 1, 0],
+			],
+		},
+	];
+	const player = { position: { x: 4, y: 5, z: 6 } };
+
+	test("migrates saves from format version 1", () => {
+		const save = decodeSave(encodeOldSave(1, { params, chunkSize, chunks }));
+		assert.equal(save.version, SAVE_FORMAT_VERSION);
+		assert.equal(save.seed, 9);
+		assert.equal(save.player, null);
+		assert.equal(save.environment, null);
+		// Version 1 had no sections, so every change is in section 0
+		assert.equal(save.dataStore.get(0, 0, 0, 1, 0, 1), 3);
+		assert.equal(save.dataStore.get(3, 0, 1, 0, 1, 0), 15);
+		assert.equal(save.dataStore.get(3, 0, 1, 1, 1, 1), 0);
+	});
+
+	test("migrates saves from format version 2", () => {
+		const bytes = encodeOldSave(2, { params, chunkSize, player, chunks });
+		const save = decodeSave(bytes);
+		assert.equal(save.version, SAVE_FORMAT_VERSION);
+		assert.deepEqual(save.player, player);
+		assert.equal(save.environment, null);
+		assert.equal(save.dataStore.get(3, 0, 1, 0, 1, 0), 15);
+	});
+
+	test("migrates saves from format version 3", () => {
+		const bytes = encodeOldSave(3, { params, chunkSize, player, chunks });
+		const save = decodeSave(bytes);
+		assert.equal(save.version, SAVE_FORMAT_VERSION);
+		assert.deepEqual(save.player, player);
+		assert.equal(save.environment, null);
+		assert.equal(save.dataStore.get(0, 0, 0, 1, 0, 1), 3);
+		assert.equal(save.dataStore.get(3, 2, 1, 0, 1, 0), 15);
+		assert.equal(save.dataStore.get(3, 2, 1, 1, 1, 1), 0);
+	});
+
+	test("rejects saves from newer versions", () => {
+		const bytes = encodeOldSave(3, { params, chunkSize, chunks });
+		bytes[4] = SAVE_FORMAT_VERSION + 1;
+		assert.throws(() => decodeSave(bytes), /Unsupported save format/);
+	});
+
+	test("accepts params matching the defaults", () => {
+		const params = { seed: 5, terrain: { scale: 40, magnitude: 2 } };
+		const save = decodeSave(encode(params), defaultParams);
+		assert.deepEqual(save.params, params);
+	});
+
+	test("ignores params the defaults don't have", () => {
+		const params = JSON.parse(
+			'{"seed": 5, "terrain": {"scale": 40}, "__proto__": {"polluted": true}}'
+		);
+		const save = decodeSave(encode(params), defaultParams);
+		assert.equal(save.params.seed, 5);
+		assert.equal({}.polluted, undefined);
+	});
+
+	test("rejects params of the wrong type", () => {
+		const params = { seed: 5, terrain: { scale: "40" } };
+		assert.throws(
+			() => decodeSave(encode(params), defaultParams),
+			/invalid world params/
+		);
+		const flattened = { seed: 5, terrain: { scale: 40 }, caves: 1 };
+		assert.throws(
+			() => decodeSave(encode(flattened), defaultParams),
+			/invalid world params/
+		);
+	});
+});
+
+describe("migrateLegacySave", () => {
+	test("converts a save from before the binary format so it loads", () => {
+		// The params and changes as the first version of the game stored
+		// them in local storage
+		const params = {
+			seed: 42,
+			terrain: { scale: 80, magnitude: 10, offset: 5, waterOffset: 3 },
+			biomes: {
+				scale: 200,
+				variation: { amplitude: 0.2, scale: 50 },
+				tundraToTemperate: 0.25,
+				temperateToJungle: 0.5,
+				jungleToDesert: 0.75,
+			},
+			trees: {
+				trunk: { minHeight: 5, maxHeight: 7 },
+				frequency: 0.005,
+			},
+			clouds: { scale: 20, density: 0.2 },
+		};
+		const data = { "32-0-1-2-3": 3, "-32-64-0-10-31": 0 };
+		const chunkSize = { width: 32, height: 32 };
+
+		const bytes = encodeSave(migrateLegacySave(params, data, chunkSize));
+		const save = decodeSave(bytes, defaultParams);
+		assert.equal(save.seed, 42);
+		assert.equal(save.params.terrain.offset, 5);
+		assert.equal(save.dataStore.get(1, 0, 0, 1, 2, 3), 3);
+		assert.equal(save.dataStore.get(-1, 0, 2, 0, 10, 31), 0);
+	});
+});